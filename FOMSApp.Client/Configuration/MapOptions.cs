@@ -0,0 +1,367 @@
+namespace FOMSApp.Client.Configuration;
+
+/// <summary>
+/// Map configuration read from the "Map" section of the client appsettings.
+/// Passed to mapHelper.js initMap so each deployment can supply its own tile sources.
+/// </summary>
+public class MapOptions
+{
+    public const string SectionName = "Map";
+
+    /// <summary>
+    /// Base layers the user can switch between (only one is visible at a time).
+    /// When empty, mapHelper.js falls back to its built-in OpenStreetMap and Esri imagery layers.
+    /// </summary>
+    public List<MapLayerOptions> BaseLayers { get; set; } = new();
+
+    /// <summary>
+    /// Overlays drawn on top of the base layer (road labels, right-of-way, etc.).
+    /// </summary>
+    public List<MapLayerOptions> Overlays { get; set; } = new();
+
+    /// <summary>
+    /// Id of the base layer shown when the map first loads (defaults to the first base layer).
+    /// </summary>
+    public string? DefaultBaseLayer { get; set; }
+
+    /// <summary>
+    /// Latitude the map starts at when there is no saved view and no data to fit to (default: San Antonio, TX).
+    /// </summary>
+    public double DefaultLatitude { get; set; } = 29.54248;
+
+    /// <summary>
+    /// Longitude the map starts at when there is no saved view and no data to fit to.
+    /// </summary>
+    public double DefaultLongitude { get; set; } = -98.73548;
+
+    /// <summary>
+    /// Zoom level used with the default center (default: 18).
+    /// </summary>
+    public int DefaultZoom { get; set; } = 18;
+
+    /// <summary>
+    /// Cluster vault and midpoint markers at lower zoom levels (default: true).
+    /// </summary>
+    public bool ClusterMarkers { get; set; } = true;
+
+    /// <summary>
+    /// Zoom level from which every marker is shown on its own (default: 18).
+    /// </summary>
+    public int ClusterDisableAtZoom { get; set; } = 18;
+
+    /// <summary>
+    /// How vaults, midpoints and cables are drawn: "svg" (default) or "canvas".
+    /// Canvas draws everything on one element, which is much faster on low-end tablets.
+    /// </summary>
+    public string Renderer { get; set; } = "svg";
+
+    /// <summary>
+    /// Show vault, midpoint and cable names on the map (default: true). Users can switch them off from the legend.
+    /// </summary>
+    public bool ShowLabels { get; set; } = true;
+
+    /// <summary>
+    /// Zoom level from which names are shown (default: 17). Labels that would overlap are left out.
+    /// </summary>
+    public int LabelMinZoom { get; set; } = 17;
+
+    /// <summary>
+    /// Overrides for how vaults, midpoints and cables are drawn (shapes, sizes, status colors and labels).
+    /// Anything not set keeps the built-in style from mapHelper.js.
+    /// </summary>
+    public MapStyleOptions? Styles { get; set; }
+
+    /// <summary>
+    /// Point asset types drawn besides vaults and midpoints (splice closures, pedestals, handholes, poles, ...).
+    /// Each gets its own legend group and batch key in renderEntities/syncEntities.
+    /// </summary>
+    public List<MapAssetTypeOptions> AssetTypes { get; set; } = new();
+
+    /// <summary>
+    /// Padding in pixels kept around the data when the map zooms to fit it (default: 40).
+    /// </summary>
+    public int FitPadding { get; set; } = 40;
+}
+
+/// <summary>
+/// Describes a single tile layer: an XYZ template, a WMS service or a WMTS service.
+/// </summary>
+public class MapLayerOptions
+{
+    /// <summary>
+    /// Unique id used to select the layer (e.g. "satellite").
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Display name shown in the layer switcher.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Layer source type: "xyz" (default), "wms" or "wmts".
+    /// </summary>
+    public string Type { get; set; } = "xyz";
+
+    /// <summary>
+    /// Tile URL template with {z}, {x} and {y} placeholders.
+    /// WMTS REST templates may use {TileMatrix}, {TileRow} and {TileCol} instead.
+    /// </summary>
+    public string UrlTemplate { get; set; } = string.Empty;
+
+    /// <summary>
+    /// WMS/WMTS only: service endpoint (e.g. "http://localhost:8080/geoserver/wms").
+    /// </summary>
+    public string? Url { get; set; }
+
+    /// <summary>
+    /// WMS/WMTS only: comma-separated layer names (WMTS takes a single layer).
+    /// </summary>
+    public string? Layers { get; set; }
+
+    /// <summary>
+    /// WMS/WMTS only: comma-separated style names matching Layers (empty uses the server default).
+    /// </summary>
+    public string? Styles { get; set; }
+
+    /// <summary>
+    /// WMS/WMTS only: image format requested from the server (default: "image/png").
+    /// </summary>
+    public string? Format { get; set; }
+
+    /// <summary>
+    /// WMS only: request transparent images so the base layer shows through (default: true).
+    /// </summary>
+    public bool Transparent { get; set; } = true;
+
+    /// <summary>
+    /// WMS only: protocol version, "1.1.1" (default) or "1.3.0".
+    /// </summary>
+    public string? Version { get; set; }
+
+    /// <summary>
+    /// WMTS only: tile matrix set id (default: "GoogleMapsCompatible").
+    /// </summary>
+    public string? TileMatrixSet { get; set; }
+
+    /// <summary>
+    /// WMTS only: prefix added to the zoom level to form the tile matrix id (e.g. "EPSG:3857:").
+    /// </summary>
+    public string? TileMatrixPrefix { get; set; }
+
+    /// <summary>
+    /// WMS only: show a GetFeatureInfo popup when the map is clicked while this overlay is visible.
+    /// </summary>
+    public bool FeatureInfo { get; set; }
+
+    /// <summary>
+    /// WMS only: GetFeatureInfo response format, "text/html" (default), "application/json" or "text/plain".
+    /// </summary>
+    public string? InfoFormat { get; set; }
+
+    /// <summary>
+    /// Attribution HTML shown in the map corner.
+    /// </summary>
+    public string? Attribution { get; set; }
+
+    /// <summary>
+    /// Maximum zoom level the source provides tiles for (default: 19).
+    /// </summary>
+    public int MaxZoom { get; set; } = 19;
+
+    /// <summary>
+    /// Layer opacity from 0 to 1 (default: 1).
+    /// </summary>
+    public double Opacity { get; set; } = 1;
+
+    /// <summary>
+    /// Request tiles with CORS so the layer can be included in map exports (default: true).
+    /// Set to false for servers that don't send CORS headers; the layer is then left out of exports.
+    /// </summary>
+    public bool CrossOrigin { get; set; } = true;
+
+    /// <summary>
+    /// Allow this layer's tiles to be downloaded for offline areas (default: false).
+    /// Only set it for tile servers the organisation is allowed to bulk download (seed) from;
+    /// public servers such as tile.openstreetmap.org and Esri World Imagery don't permit it.
+    /// </summary>
+    public bool AllowOffline { get; set; }
+
+    /// <summary>
+    /// Overlays only: base layer ids this overlay is shown with automatically.
+    /// Overlays without it are toggled by the user.
+    /// </summary>
+    public List<string>? ShowWith { get; set; }
+}
+
+/// <summary>
+/// A point asset type registered with mapHelper.js registerPointAssetType.
+/// Clicks, drags and the popup's Edit button call OnEntityClick, OnMarkerDragEnd and OpenEditModal with Type.
+/// </summary>
+public class MapAssetTypeOptions
+{
+    /// <summary>
+    /// Entity type name passed to the .NET callbacks (e.g. "pedestal").
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Singular display name used in cluster tooltips (e.g. "Pedestal").
+    /// </summary>
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Key of this type's items in renderEntities/syncEntities batches (default: Type + "s").
+    /// </summary>
+    public string? BatchKey { get; set; }
+
+    /// <summary>
+    /// Let users drag markers of this type to a new location (default: true).
+    /// </summary>
+    public bool Draggable { get; set; } = true;
+
+    /// <summary>
+    /// Shape, size and status colors (default: a gray square with no status colors).
+    /// </summary>
+    public MapEntityStyleOptions? Style { get; set; }
+}
+
+/// <summary>
+/// Style overrides per entity type, merged into the style registry in mapHelper.js (DEFAULT_ENTITY_STYLES).
+/// </summary>
+public class MapStyleOptions
+{
+    public MapEntityStyleOptions? Vault { get; set; }
+
+    public MapEntityStyleOptions? Midpoint { get; set; }
+
+    public MapEntityStyleOptions? Cable { get; set; }
+
+    /// <summary>
+    /// Highlight used for selected entities.
+    /// </summary>
+    public MapSelectionStyleOptions? Selection { get; set; }
+}
+
+/// <summary>
+/// How one entity type is drawn. Null values keep the built-in style.
+/// </summary>
+public class MapEntityStyleOptions
+{
+    /// <summary>
+    /// Legend group title (e.g. "Vaults").
+    /// </summary>
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Vaults/midpoints only: "triangle", "diamond", "square" or "circle".
+    /// </summary>
+    public string? Shape { get; set; }
+
+    /// <summary>
+    /// Vaults/midpoints only: icon size in pixels.
+    /// </summary>
+    public int? Size { get; set; }
+
+    /// <summary>
+    /// Fill (cables: line color) used for colors that aren't listed in Colors.
+    /// </summary>
+    public string? Fill { get; set; }
+
+    /// <summary>
+    /// Vaults/midpoints only: outline color.
+    /// </summary>
+    public string? Stroke { get; set; }
+
+    /// <summary>
+    /// Vaults/midpoints only: outline width in pixels.
+    /// </summary>
+    public double? StrokeWidth { get; set; }
+
+    /// <summary>
+    /// Cables only: line width in pixels.
+    /// </summary>
+    public double? Weight { get; set; }
+
+    /// <summary>
+    /// Cables only: line opacity from 0 to 1.
+    /// </summary>
+    public double? Opacity { get; set; }
+
+    /// <summary>
+    /// Cables only: SVG dash pattern (e.g. "10 6"); unset draws a solid line.
+    /// </summary>
+    public string? DashArray { get; set; }
+
+    /// <summary>
+    /// Per-color styles, matched by color name. Listed colors are changed, new ones are added.
+    /// </summary>
+    public List<MapStyleColorOptions>? Colors { get; set; }
+}
+
+/// <summary>
+/// Style for one color name (the status color of a vault or midpoint, or a cable jacket color).
+/// </summary>
+public class MapStyleColorOptions
+{
+    /// <summary>
+    /// Color name stored on the entity (e.g. "Red").
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Color actually drawn (e.g. "#DC3545").
+    /// </summary>
+    public string? Fill { get; set; }
+
+    /// <summary>
+    /// Outline color for this color only.
+    /// </summary>
+    public string? Stroke { get; set; }
+
+    /// <summary>
+    /// Text shown in the legend (e.g. "Issue").
+    /// </summary>
+    public string? Label { get; set; }
+
+    /// <summary>
+    /// Status this color stands for, so entities can be styled by status (e.g. "Issue").
+    /// </summary>
+    public string? Status { get; set; }
+
+    /// <summary>
+    /// Vaults/midpoints only: character drawn inside the icon so the status doesn't rely on color alone (e.g. "!").
+    /// </summary>
+    public string? Glyph { get; set; }
+
+    /// <summary>
+    /// Vaults/midpoints only: glyph color (default: black or white, whichever contrasts with the fill).
+    /// </summary>
+    public string? GlyphColor { get; set; }
+
+    /// <summary>
+    /// Cables only: SVG dash pattern for this jacket color (e.g. "2 6").
+    /// </summary>
+    public string? DashArray { get; set; }
+}
+
+/// <summary>
+/// Highlight for selected entities. Null values keep the built-in gold highlight.
+/// </summary>
+public class MapSelectionStyleOptions
+{
+    /// <summary>
+    /// Outline color of selected markers and line color of selected cables.
+    /// </summary>
+    public string? Stroke { get; set; }
+
+    /// <summary>
+    /// Outline width of selected markers in pixels.
+    /// </summary>
+    public double? StrokeWidth { get; set; }
+
+    /// <summary>
+    /// Canvas renderer only: blur radius of the glow around selected markers.
+    /// </summary>
+    public double? Glow { get; set; }
+}
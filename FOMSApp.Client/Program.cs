@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Components.Web;
 using Microsoft.AspNetCore.Components.WebAssembly.Hosting;
 using Microsoft.AspNetCore.Components.WebAssembly.Http;
 using FOMSApp.Client;
+using FOMSApp.Client.Configuration;
 using FOMSApp.Client.Services;
 
 var builder = WebAssemblyHostBuilder.CreateDefault(args);
@@ -30,6 +31,10 @@ builder.Services.AddScoped(sp => sp.GetRequiredService<IHttpClientFactory>().Cre
 // Register AuthService for authentication state management
 builder.Services.AddScoped<AuthService>();
 
+// Map layer configuration (tile sources per deployment) comes from the "Map" section.
+var mapOptions = builder.Configuration.GetSection(MapOptions.SectionName).Get<MapOptions>() ?? new MapOptions();
+builder.Services.AddSingleton(mapOptions);
+
 await builder.Build().RunAsync();
 
 /// <summary>
@@ -1,523 +1,2989 @@
 // This file holds functions that C# can call to control the map
 
-// Global variable to track if we're in delete mode
-var isDeleteMode = false;
+// Default base layers used when initMap is called without a layer configuration
+// Each entry describes a tile source; deployments can add their own through the options passed to initMap
+var DEFAULT_BASE_LAYERS = [
+    {
+        // OpenStreetMap street map
+        id: 'default',
+        name: 'Map',
+        urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        maxZoom: 19,
+        attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+    },
+    {
+        // Esri World Imagery - free, no API key required
+        id: 'satellite',
+        name: 'Satellite',
+        urlTemplate: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        maxZoom: 19,
+        attribution: '&copy; <a href="https://www.esri.com/">Esri</a> &mdash; Source: Esri, Maxar, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community'
+    }
+];
+
+// Default overlays used when initMap is called without a layer configuration
+// showWith lists the base layer ids the overlay is automatically shown with
+var DEFAULT_OVERLAYS = [
+    {
+        // Road labels and street overlay for satellite view (road names, street outlines, sidewalks)
+        id: 'roadLabels',
+        name: 'Road Labels',
+        urlTemplate: 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Transportation/MapServer/tile/{z}/{y}/{x}',
+        maxZoom: 19,
+        opacity: 0.7, // Semi-transparent so satellite imagery shows through
+        attribution: '&copy; <a href="https://www.esri.com/">Esri</a>',
+        showWith: ['satellite']
+    }
+];
+
+// Function to check that a layer definition has what its type needs
+// XYZ layers need urlTemplate; WMS layers need url and layers; WMTS layers need urlTemplate (REST) or url and layers (KVP)
+function isValidLayerDefinition(definition) {
+    if (!definition || !definition.id) return false;
+    var type = getLayerType(definition);
+    if (type === 'wms') return !!(definition.url && definition.layers);
+    if (type === 'wmts') return !!(definition.urlTemplate || (definition.url && definition.layers));
+    return !!definition.urlTemplate;
+}
+
+// Function to get the normalized layer type ('xyz', 'wms' or 'wmts')
+function getLayerType(definition) {
+    return (definition.type || 'xyz').toLowerCase();
+}
+
+// Function to build the {z}/{x}/{y} URL template for an XYZ or WMTS layer
+// WMTS REST templates may use {TileMatrix}, {TileRow}, {TileCol}, {Style}, {TileMatrixSet} and {Layer};
+// without a template, a KVP GetTile request is built from url, layers, styles, tileMatrixSet and format
+function getTileUrlTemplate(definition) {
+    if (getLayerType(definition) !== 'wmts') {
+        return definition.urlTemplate;
+    }
+
+    var prefix = definition.tileMatrixPrefix || '';
+    if (definition.urlTemplate) {
+        return definition.urlTemplate
+            .replace(/\{TileMatrix\}/gi, prefix + '{z}')
+            .replace(/\{TileRow\}/gi, '{y}')
+            .replace(/\{TileCol\}/gi, '{x}')
+            .replace(/\{Style\}/gi, definition.styles || 'default')
+            .replace(/\{TileMatrixSet\}/gi, definition.tileMatrixSet || 'GoogleMapsCompatible')
+            .replace(/\{Layer\}/gi, definition.layers || '');
+    }
+
+    var separator = definition.url.indexOf('?') === -1 ? '?' : '&';
+    return definition.url + separator +
+        'SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0' +
+        '&LAYER=' + encodeURIComponent(definition.layers) +
+        '&STYLE=' + encodeURIComponent(definition.styles || 'default') +
+        '&TILEMATRIXSET=' + encodeURIComponent(definition.tileMatrixSet || 'GoogleMapsCompatible') +
+        '&TILEMATRIX=' + encodeURIComponent(prefix) + '{z}&TILEROW={y}&TILECOL={x}' +
+        '&FORMAT=' + encodeURIComponent(definition.format || 'image/png');
+}
+
+// Function to build the WMS request parameters shared by GetMap and GetFeatureInfo
+function getWmsParams(definition) {
+    var version = definition.version || '1.1.1';
+    var params = {
+        service: 'WMS',
+        version: version,
+        layers: definition.layers,
+        styles: definition.styles || '',
+        format: definition.format || 'image/png',
+        transparent: definition.transparent !== false
+    };
+    // WMS 1.3.0 renamed SRS to CRS
+    params[parseFloat(version) >= 1.3 ? 'crs' : 'srs'] = 'EPSG:3857';
+    return params;
+}
 
-// Global variable to track if we're in select mode
-var isSelectMode = false;
+// Function to build the URL of a single tile for any layer type
+// Used to download tiles for offline areas without needing the layer on the map
+function getDefinitionTileUrl(definition, z, x, y) {
+    if (getLayerType(definition) === 'wms') {
+        // Tile bounds in Web Mercator meters
+        var extent = 20037508.342789244;
+        var tileSpan = 2 * extent / Math.pow(2, z);
+        var minX = -extent + x * tileSpan;
+        var maxY = extent - y * tileSpan;
+        var params = L.extend(getWmsParams(definition), {
+            request: 'GetMap',
+            width: 256,
+            height: 256,
+            bbox: [minX, maxY - tileSpan, minX + tileSpan, maxY].join(',')
+        });
+        return definition.url + L.Util.getParamString(params, definition.url);
+    }
 
-// Function to set the delete mode state
-export function setDeleteMode(enabled) {
-    isDeleteMode = enabled;
+    return L.Util.template(getTileUrlTemplate(definition), { s: 'a', z: z, x: x, y: y, r: '' });
 }
 
-// Function to set the select mode state
-export function setSelectMode(enabled) {
-    isSelectMode = enabled;
+// Function to create a Leaflet tile layer from a layer definition
+// definition: { id, name, type, urlTemplate, url, layers, styles, format, transparent, version,
+//               tileMatrixSet, tileMatrixPrefix, featureInfo, infoFormat, attribution, maxZoom, opacity, crossOrigin,
+//               allowOffline }
+// Tiles are read from the offline tile cache first and fall back to the network
+function createTileLayer(definition) {
+    var options = {
+        layerId: definition.id,
+        maxZoom: definition.maxZoom || 19,
+        opacity: definition.opacity != null ? definition.opacity : 1,
+        attribution: definition.attribution || '',
+        // Servers without CORS headers need crossOrigin: false; those layers are left out of map exports
+        crossOrigin: definition.crossOrigin !== false
+    };
+
+    if (getLayerType(definition) === 'wms') {
+        var wmsParams = getWmsParams(definition);
+        delete wmsParams.service; // Leaflet adds service and request itself
+        return new CachedWmsLayer(definition.url, L.extend(options, wmsParams));
+    }
+
+    // XYZ and WMTS layers are both served from a URL template
+    return new CachedTileLayer(getTileUrlTemplate(definition), options);
 }
 
 // Function to initialize the map
-export function initMap(elementId) { 
-    // 1. Create the map and center it on San Antonio, TX
-    var map = L.map(elementId).setView([29.54248, -98.73548], 18); // Latitude, Longitude, Zoom level (18 for street-level detail)
+// options (optional): { baseLayers: [...], overlays: [...], defaultBaseLayer: 'id', persistView: true,
+//                      defaultLatitude, defaultLongitude, defaultZoom }
+// Base layers and overlays use the same definition shape (see createTileLayer); type is 'xyz' (default), 'wms' or 'wmts'
+// Overlays may also set showWith (array of base layer ids) to appear automatically with those base layers
+// persistView (default true) keeps the view in the URL hash and local storage (see saveViewState)
+// showCoordinates (default true) adds the coordinate readout and scale bar (see CoordinateControl)
+// showLegend (default true) adds the status/color legend (see LegendControl)
+// clusterMarkers (default true) clusters vaults and midpoints below clusterDisableAtZoom (default 18), using clusterRadius px
+// assetTypes: [{ type, name, batchKey, draggable, style }] registers more point asset types (see registerPointAssetType)
+// showLabels (default true) and labelMinZoom (default 17) control the name labels (see layoutEntityLabels)
+// showEntityList (default true) adds the keyboard and screen reader list of entities (see EntityListControl)
+export function initMap(elementId, options) {
+    options = options || {};
 
-    // 2. Create the default map layer (OpenStreetMap)
-    var defaultLayer = L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        maxZoom: 19,
-        attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+    // Register configured point asset types (pedestals, handholes, ...) so the styles below can override them
+    (options.assetTypes || []).forEach(function(definition) {
+        registerPointAssetType(definition.type, definition);
     });
 
-    // 3. Create the satellite imagery base layer (Esri World Imagery - free, no API key required)
-    var satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-        maxZoom: 19,
-        attribution: '&copy; <a href="https://www.esri.com/">Esri</a> &mdash; Source: Esri, Maxar, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community'
+    // 1. Create the map at the configured default center (San Antonio, TX if none is set)
+    // This is only the starting view: a saved view or the loaded data (see navigateToLocations) replaces it
+    var defaultCenter = isFinite(options.defaultLatitude) && isFinite(options.defaultLongitude)
+        ? [options.defaultLatitude, options.defaultLongitude]
+        : [29.54248, -98.73548];
+    var defaultZoom = isFinite(options.defaultZoom) ? options.defaultZoom : 18; // 18 for street-level detail
+    var map = L.map(elementId).setView(defaultCenter, defaultZoom);
+
+    // Give the map its own style registry with any overrides, before icons are built (see DEFAULT_ENTITY_STYLES)
+    configureEntityStyles(map, options.styles);
+
+    // Draw vaults, midpoints and cables on one canvas instead of SVG when renderer is 'canvas'
+    // (faster on low-end tablets; see CanvasShapeMarker)
+    map._canvasRenderer = options.renderer === 'canvas' ? L.canvas({ padding: 0.5, tolerance: 6 }) : null;
+    if (map._canvasRenderer) {
+        initCanvasShapeDragging(map);
+    }
+
+    // 2. Build the base layer and overlay registries (fall back to the built-in layers if none are configured)
+    var hasCustomBaseLayers = options.baseLayers && options.baseLayers.length > 0;
+    var baseLayerDefinitions = hasCustomBaseLayers ? options.baseLayers : DEFAULT_BASE_LAYERS;
+    var overlayDefinitions = (options.overlays && options.overlays.length > 0)
+        ? options.overlays
+        : (hasCustomBaseLayers ? [] : DEFAULT_OVERLAYS);
+
+    map._baseLayers = {};
+    map._baseLayerOrder = [];
+    baseLayerDefinitions.forEach(function(definition) {
+        if (!isValidLayerDefinition(definition)) return;
+        map._baseLayers[definition.id] = { definition: definition, layer: createTileLayer(definition) };
+        map._baseLayerOrder.push(definition.id);
     });
 
-    // 4. Create road labels and street overlay layer for satellite view
-    // This provides road names, street outlines, and sidewalk information
-    var roadLabelsLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Transportation/MapServer/tile/{z}/{y}/{x}', {
-        maxZoom: 19,
-        opacity: 0.7, // Semi-transparent so satellite imagery shows through
-        attribution: '&copy; <a href="https://www.esri.com/">Esri</a>'
+    map._overlays = {};
+    map._overlayOrder = [];
+    overlayDefinitions.forEach(function(definition) {
+        addOverlay(map, definition);
     });
 
-    // 5. Add default layer initially (user can toggle to satellite)
-    defaultLayer.addTo(map);
+    // Keep the road labels reference for callers that still use it directly
+    map._roadLabelsLayer = map._overlays.roadLabels ? map._overlays.roadLabels.layer : null;
+
+    // 3. Add the default base layer initially (user can switch layers later)
+    map._currentMapType = null; // Track current base layer id
+    var initialLayerId = map._baseLayers[options.defaultBaseLayer] ? options.defaultBaseLayer : map._baseLayerOrder[0];
+    setBaseLayer(map, initialLayerId);
+
+    // 4. Reopen the last view (from the URL hash or local storage) and keep saving it
+    map._viewRestored = options.persistView !== false ? initViewStatePersistence(map) : false;
+
+    // 5. Add the cursor coordinate readout and scale bar
+    if (options.showCoordinates !== false) {
+        addCoordinateControls(map);
+    }
+
+    // 6. Cluster vault and midpoint markers (added through addEntityLayer)
+    map._clusterGroup = options.clusterMarkers !== false ? createClusterGroup(map, options) : null;
+    if (map._clusterGroup) {
+        map._clusterGroup.addTo(map);
+    }
+
+    // 7. Name labels beside point assets and along cables at high zoom
+    initEntityLabels(map, options);
+
+    // 8. Add the legend (clicking an entry hides or shows that category)
+    map._hiddenCategories = {};
+    map._legendHiddenLayers = [];
+    if (options.showLegend !== false) {
+        addLegendControl(map);
+    }
+
+    // 9. Hover and long-press previews of entities
+    initEntityPreviews(map);
+
+    // 10. Keyboard access: the hidden entity list and popup focus handling
+    if (options.showEntityList !== false) {
+        initEntityAccess(map);
+    }
+    initEntityPopups(map);
+
+    // 11. Show GetFeatureInfo results when a queryable WMS overlay is clicked
+    map._featureInfoEnabled = true;
+    map.on('click', function(e) {
+        showFeatureInfo(map, e.latlng);
+    });
 
-    // Store layer references for layer switching
-    map._defaultLayer = defaultLayer;
-    map._satelliteLayer = satelliteLayer;
-    map._roadLabelsLayer = roadLabelsLayer;
-    map._currentMapType = 'default'; // Track current map type
+    // 12. Start in view mode (setMapMode switches to select, delete, add-vault, ...)
+    initMapModes(map);
 
     return map; // Return the map object to C#
 }
 
-// Function to switch between default and satellite map views
-export function toggleMapView(map, useSatellite) {
-    if (!map) return;
+// Function to remove a map created by initMap when its page is torn down
+// Leaflet's remove() fires the map's unload event, which drops the listeners it added to the window
+export function disposeMap(map) {
+    if (!map || !map._container) return;
 
-    if (useSatellite) {
-        // Switch to satellite view
-        if (map._currentMapType !== 'satellite') {
-            // Remove default layer
-            if (map._defaultLayer) {
-                map.removeLayer(map._defaultLayer);
-            }
-            // Add satellite layer
-            if (map._satelliteLayer) {
-                map._satelliteLayer.addTo(map);
-            }
-            // Add road labels overlay
-            if (map._roadLabelsLayer) {
-                map._roadLabelsLayer.addTo(map);
-            }
-            map._currentMapType = 'satellite';
+    closeEntityPreview(map);
+    closeContextMenu(map, false);
+    map.remove();
+}
+
+// Function to switch the visible base layer by its id
+// Overlays linked to a base layer through showWith are added or removed to match
+// Returns true if the layer was found and is now active
+export function setBaseLayer(map, layerId) {
+    if (!map || !map._baseLayers) return false;
+
+    var entry = map._baseLayers[layerId];
+    if (!entry) return false;
+
+    if (map._currentMapType !== layerId) {
+        // Remove the current base layer
+        var current = map._baseLayers[map._currentMapType];
+        if (current && map.hasLayer(current.layer)) {
+            map.removeLayer(current.layer);
         }
-    } else {
-        // Switch to default view
-        if (map._currentMapType !== 'default') {
-            // Remove satellite layers
-            if (map._satelliteLayer) {
-                map.removeLayer(map._satelliteLayer);
-            }
-            if (map._roadLabelsLayer) {
-                map.removeLayer(map._roadLabelsLayer);
-            }
-            // Add default layer
-            if (map._defaultLayer) {
-                map._defaultLayer.addTo(map);
+
+        // Add the new base layer below any overlays
+        entry.layer.addTo(map);
+        entry.layer.bringToBack();
+        map._currentMapType = layerId;
+
+        // Show or hide overlays that follow the base layer
+        map._overlayOrder.forEach(function(overlayId) {
+            var overlay = map._overlays[overlayId];
+            var showWith = overlay.definition.showWith;
+            if (showWith && showWith.length > 0) {
+                setOverlayVisible(map, overlayId, showWith.indexOf(layerId) !== -1);
             }
-            map._currentMapType = 'default';
-        }
+        });
     }
-    
+
     // Invalidate size to ensure map renders correctly after layer change
     map.invalidateSize();
+    saveViewState(map);
+    return true;
 }
 
-// Function to create a custom colored icon for vault markers
-// Returns a Leaflet DivIcon configured with the specified color
-// Vault markers are triangles pointing down (point at bottom) with white outline, slightly larger than midpoint markers
-// If isSelected is true, adds a highlight border/glow effect
-function createColoredIcon(color, isSelected) {
-    isSelected = isSelected || false;
-    // Map color names to hex values for better browser compatibility
-    var colorMap = {
-        'Blue': '#0066CC',
-        'Brown': '#8B4513',
-        'Gray': '#808080',
-        'Green': '#28A745',
-        'Red': '#DC3545'
-    };
-    
-    // Get hex color or use the provided color if it's already a hex code
-    var hexColor = colorMap[color] || color || '#0066CC';
-    
-    // Create an SVG triangle marker with white outline, pointing down (point at bottom)
-    // Size: 24x24 (slightly larger than midpoint which is 20x20, but smaller than previous 26x26)
-    // Triangle points downward with point at the bottom
-    // If selected, add a yellow highlight border
-    var strokeColor = isSelected ? '#FFD700' : 'white'; // Gold/yellow for selected, white for normal
-    var strokeWidth = isSelected ? '3' : '2'; // Thicker border when selected
-    var svgIcon = '<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">' +
-        // Triangle pointing down (point at bottom, base at top)
-        '<path d="M 12 22 L 2 2 L 22 2 Z" ' +
-        'fill="' + hexColor + '" stroke="' + strokeColor + '" stroke-width="' + strokeWidth + '"/>' +
-        '</svg>';
-    
-    return L.divIcon({
-        html: svgIcon,
-        className: 'custom-colored-marker', // Custom class for styling if needed (no default Leaflet styles)
-        iconSize: [24, 24],
-        iconAnchor: [12, 22], // Anchor point at the bottom center of the triangle (the point)
-        popupAnchor: [0, -12] // Position popup above the marker
-    });
-}
+// Function to show or hide an overlay by its id
+export function setOverlayVisible(map, overlayId, visible) {
+    if (!map || !map._overlays) return false;
 
-// Function to add a marker to the map with a custom color
-// Returns the marker so it can be stored and deleted later
-export function addMarker(map, lat, lng, popupText, entityId, dotNetReference, color, isSelected) {
-    isSelected = isSelected || false;
-    // Create a custom colored icon if color is provided, otherwise use default blue
-    var icon = color ? createColoredIcon(color, isSelected) : undefined;
-    
-    // Make the marker draggable so users can move it to a new location
-    var marker = L.marker([lat, lng], { icon: icon, draggable: true }).addTo(map);
-    marker.bindPopup(popupText); // Add a popup to the marker
-    
-    // Add event listener for Edit button clicks in the popup
-    marker.on('popupopen', function() {
-        // Wait for popup to be added to DOM, then attach click handler to Edit button
-        setTimeout(function() {
-            var editButton = document.getElementById('editVault_' + entityId);
-            if (editButton && dotNetReference) {
-                editButton.onclick = function(e) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    dotNetReference.invokeMethodAsync('OpenEditModal', 'vault', entityId);
-                };
-            }
-        }, 100);
-    });
-    
-    // If entityId and dotNetReference are provided, add click handler for deletion and drag handler for moving
-    if (entityId && dotNetReference) {
-        // Override the default click behavior to handle delete and select modes
-        marker.off('click'); // Remove default click handler (which opens popup)
-        marker.on('click', function(e) {
-            // If in delete mode, prevent popup from opening and handle deletion
-            if (isDeleteMode) {
-                L.DomEvent.stop(e); // Stop Leaflet event propagation
-                marker.closePopup(); // Close popup if it's already open
-                // Call C# method to handle the click (for deletion mode)
-                dotNetReference.invokeMethodAsync('OnEntityClick', 'vault', entityId);
-            } else if (isSelectMode) {
-                // If in select mode, prevent popup from opening and handle selection
-                L.DomEvent.stop(e); // Stop Leaflet event propagation
-                marker.closePopup(); // Close popup if it's already open
-                // Call C# method to handle the click (for selection mode)
-                dotNetReference.invokeMethodAsync('OnEntityClick', 'vault', entityId);
-            } else {
-                // If not in delete or select mode, open the popup manually
-                marker.openPopup();
-            }
-        });
-        
-        // Handle drag end event to update the location in the database
-        marker.on('dragend', function(e) {
-            var newLat = marker.getLatLng().lat;
-            var newLng = marker.getLatLng().lng;
-            // Call C# method to update the location
-            dotNetReference.invokeMethodAsync('OnMarkerDragEnd', 'vault', entityId, newLat, newLng);
-        });
+    var overlay = map._overlays[overlayId];
+    if (!overlay) return false;
+
+    if (visible && !map.hasLayer(overlay.layer)) {
+        overlay.layer.addTo(map);
+    } else if (!visible && map.hasLayer(overlay.layer)) {
+        map.removeLayer(overlay.layer);
     }
-    
-    return marker;
+    overlay.visible = !!visible;
+    saveViewState(map);
+    return true;
 }
 
-// Function to create a custom colored icon for midpoint markers
-// Returns a Leaflet DivIcon configured with the specified color
-// Midpoints use a square/diamond shape to distinguish them from vault pin markers
-// If isSelected is true, adds a highlight border/glow effect
-function createColoredMidpointIcon(color, isSelected) {
-    isSelected = isSelected || false;
-    // Map color names to hex values for better browser compatibility
-    var colorMap = {
-        'Black': '#000000',
-        'LightGray': '#D3D3D3',
-        'LightGreen': '#90EE90',
-        'LightCoral': '#F08080'
-    };
-    
-    // Get hex color or use the provided color if it's already a hex code
-    var hexColor = colorMap[color] || color || '#000000';
-    
-    // Create an SVG square/diamond marker with the specified color
-    // This creates a distinct shape from vault pins (which are circular pins)
-    // If selected, add a yellow highlight border
-    var strokeColor = isSelected ? '#FFD700' : 'white'; // Gold/yellow for selected, white for normal
-    var strokeWidth = isSelected ? '3' : '2'; // Thicker border when selected
-    var svgIcon = '<svg width="20" height="20" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">' +
-        // Diamond/square shape rotated 45 degrees
-        '<rect x="5" y="5" width="10" height="10" transform="rotate(45 10 10)" ' +
-        'fill="' + hexColor + '" stroke="' + strokeColor + '" stroke-width="' + strokeWidth + '"/>' +
-        '</svg>';
-    
-    return L.divIcon({
-        html: svgIcon,
-        className: 'custom-colored-midpoint-marker', // Custom class for styling
-        iconSize: [20, 20],
-        iconAnchor: [10, 10], // Anchor point at the center
-        popupAnchor: [0, -10] // Position popup above the marker
-    });
-}
+// Function to register an overlay (XYZ, WMS or WMTS) on the map
+// The overlay starts hidden unless visible is true; an overlay with the same id is replaced
+// Returns true if the definition was valid and the overlay was added
+export function addOverlay(map, definition, visible) {
+    if (!map || !map._overlays || !isValidLayerDefinition(definition)) return false;
 
-// Function to add a small circle marker (Dot)
-// Returns the circle marker so it can be stored and deleted later
-// Updated to use custom colored icons based on status
-export function addCircle(map, lat, lng, color, popupText, entityId, dotNetReference, isSelected) {
-    isSelected = isSelected || false;
-    // Create a custom colored icon if color is provided, otherwise use default circle marker
-    var icon = color ? createColoredMidpointIcon(color, isSelected) : undefined;
-    
-    // Use circle marker if no custom icon, otherwise use marker with custom icon
-    var circleMarker;
-    if (icon) {
-        // Use marker with custom icon for better visual distinction
-        // Make the marker draggable so users can move it to a new location
-        circleMarker = L.marker([lat, lng], { icon: icon, draggable: true }).addTo(map);
-    } else {
-        // Fallback to circle marker if no color specified
-        // Note: circleMarker doesn't support draggable directly, so we'll use a marker instead
-        circleMarker = L.marker([lat, lng], { 
-            draggable: true,
-            icon: L.divIcon({
-                className: 'custom-circle-marker',
-                html: '<div style="width: 12px; height: 12px; border-radius: 50%; background-color: ' + (color || 'green') + '; border: 2px solid black;"></div>',
-                iconSize: [12, 12],
-                iconAnchor: [6, 6]
-            })
-        }).addTo(map);
+    if (map._overlays[definition.id]) {
+        removeOverlay(map, definition.id);
     }
 
-    if (popupText) {
-        circleMarker.bindPopup(popupText);
-    }
-    
-    // Add event listener for Edit button clicks in the popup
-    circleMarker.on('popupopen', function() {
-        // Wait for popup to be added to DOM, then attach click handler to Edit button
-        setTimeout(function() {
-            var editButton = document.getElementById('editMidpoint_' + entityId);
-            if (editButton && dotNetReference) {
-                editButton.onclick = function(e) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    dotNetReference.invokeMethodAsync('OpenEditModal', 'midpoint', entityId);
-                };
-            }
-        }, 100);
-    });
-    
-    // If entityId and dotNetReference are provided, add click handler for deletion and drag handler for moving
-    if (entityId && dotNetReference) {
-        // Override the default click behavior to handle delete and select modes
-        circleMarker.off('click'); // Remove default click handler (which opens popup)
-        circleMarker.on('click', function(e) {
-            // If in delete mode, prevent popup from opening and handle deletion
-            if (isDeleteMode) {
-                L.DomEvent.stop(e); // Stop Leaflet event propagation
-                circleMarker.closePopup(); // Close popup if it's already open
-                // Call C# method to handle the click (for deletion mode)
-                dotNetReference.invokeMethodAsync('OnEntityClick', 'midpoint', entityId);
-            } else if (isSelectMode) {
-                // If in select mode, prevent popup from opening and handle selection
-                L.DomEvent.stop(e); // Stop Leaflet event propagation
-                circleMarker.closePopup(); // Close popup if it's already open
-                // Call C# method to handle the click (for selection mode)
-                dotNetReference.invokeMethodAsync('OnEntityClick', 'midpoint', entityId);
-            } else {
-                // If not in delete or select mode, open the popup manually
-                circleMarker.openPopup();
-            }
-        });
-        
-        // Handle drag end event to update the location in the database
-        circleMarker.on('dragend', function(e) {
-            var newLat = circleMarker.getLatLng().lat;
-            var newLng = circleMarker.getLatLng().lng;
-            // Call C# method to update the location
-            dotNetReference.invokeMethodAsync('OnMarkerDragEnd', 'midpoint', entityId, newLat, newLng);
-        });
+    map._overlays[definition.id] = { definition: definition, layer: createTileLayer(definition), visible: false };
+    map._overlayOrder.push(definition.id);
+
+    // Linked overlays follow the current base layer; others use the visible flag
+    var showWith = definition.showWith;
+    if (showWith && showWith.length > 0) {
+        setOverlayVisible(map, definition.id, showWith.indexOf(map._currentMapType) !== -1);
+    } else if (visible) {
+        setOverlayVisible(map, definition.id, true);
     }
-    
-    return circleMarker;
+    return true;
 }
 
-// Function to add a polyline to the map
-// Returns the polyline so it can be stored and deleted later
-export function addPolyline(map, coordinates, color, popupText, entityId, dotNetReference) {
-    var polyline = L.polyline(coordinates, {
-        color: color,
-        weight: 4,
-        opacity: 0.8
-    }).addTo(map);
+// Function to unregister an overlay and take it off the map
+export function removeOverlay(map, overlayId) {
+    if (!map || !map._overlays || !map._overlays[overlayId]) return false;
 
-    if (popupText) {
-        polyline.bindPopup(popupText);
-    }
-    
-    // If entityId and dotNetReference are provided, add click handler for deletion
-    if (entityId && dotNetReference) {
-        polyline.on('click', function() {
-            // Call C# method to handle the click (for deletion mode)
-            dotNetReference.invokeMethodAsync('OnEntityClick', 'cable', entityId);
-        });
+    setOverlayVisible(map, overlayId, false);
+    delete map._overlays[overlayId];
+    map._overlayOrder = map._overlayOrder.filter(function(id) { return id !== overlayId; });
+    return true;
+}
+
+// Function to turn GetFeatureInfo popups on or off
+// They are only ever shown in view mode, so clicks in editing modes aren't hijacked
+export function setFeatureInfoEnabled(map, enabled) {
+    if (map) {
+        map._featureInfoEnabled = !!enabled;
     }
-    
-    return polyline;
 }
 
-// Function to add a click event listener to the map that calls back to C#
-// dotNetReference: The .NET object reference to invoke the OnMapClick method
-export function addClickEventListener(map, dotNetReference) {
-    map.on('click', function(e) {
-        // e.latlng contains the latitude and longitude of the click
-        // Call the C# method OnMapClick with the coordinates
-        dotNetReference.invokeMethodAsync('OnMapClick', e.latlng.lat, e.latlng.lng);
-    });
+// Function to escape text for safe insertion into HTML
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// Function to remove a layer (marker, polyline, circle, etc.) from the map
-export function removeLayer(map, layer) {
-    map.removeLayer(layer);
+// Function to build a WMS GetFeatureInfo URL for a point on the current map view
+function buildFeatureInfoUrl(map, definition, latlng) {
+    var point = map.latLngToContainerPoint(latlng).round();
+    var size = map.getSize();
+    var bounds = map.getBounds();
+    var southWest = map.options.crs.project(bounds.getSouthWest());
+    var northEast = map.options.crs.project(bounds.getNorthEast());
+    var is13 = parseFloat(definition.version || '1.1.1') >= 1.3;
+
+    var params = L.extend(getWmsParams(definition), {
+        request: 'GetFeatureInfo',
+        query_layers: definition.queryLayers || definition.layers,
+        info_format: definition.infoFormat || 'text/html',
+        feature_count: 10,
+        width: size.x,
+        height: size.y,
+        bbox: [southWest.x, southWest.y, northEast.x, northEast.y].join(',')
+    });
+    // WMS 1.3.0 renamed X/Y to I/J
+    params[is13 ? 'i' : 'x'] = point.x;
+    params[is13 ? 'j' : 'y'] = point.y;
+
+    return definition.url + L.Util.getParamString(params, definition.url);
 }
 
-// Function to show a layer (make it visible)
-export function showLayer(map, layer) {
-    if (layer && !map.hasLayer(layer)) {
-        layer.addTo(map);
+// Function to turn a GetFeatureInfo response into popup content
+// Returns a DOM element, or null if the response has no features
+function renderFeatureInfo(definition, contentType, body) {
+    var container = L.DomUtil.create('div', 'feature-info-result');
+    var title = L.DomUtil.create('div', 'feature-info-title', container);
+    title.innerHTML = '<strong>' + escapeHtml(definition.name || definition.id) + '</strong>';
+
+    if (contentType.indexOf('json') !== -1) {
+        // GeoJSON FeatureCollection - show each feature's properties as an escaped table
+        var data;
+        try { data = JSON.parse(body); } catch (e) { return null; }
+        var features = (data && data.features) || [];
+        if (features.length === 0) return null;
+
+        features.forEach(function(feature) {
+            var rows = Object.keys(feature.properties || {}).map(function(key) {
+                return '<tr><th style="padding-right: 8px;">' + escapeHtml(key) + '</th><td>' + escapeHtml(feature.properties[key]) + '</td></tr>';
+            }).join('');
+            var table = L.DomUtil.create('table', 'table table-sm mb-2', container);
+            table.style.fontSize = '11px';
+            table.innerHTML = rows;
+        });
+        return container;
     }
-}
 
-// Function to hide a layer (make it invisible but keep it in memory)
-export function hideLayer(map, layer) {
-    if (layer && map.hasLayer(layer)) {
-        map.removeLayer(layer);
+    if (contentType.indexOf('html') !== -1) {
+        // Server-provided HTML is shown in a sandboxed frame so its markup and scripts can't reach the app
+        var text = new DOMParser().parseFromString(body, 'text/html').body.textContent || '';
+        if (!text.trim()) return null;
+
+        var frame = L.DomUtil.create('iframe', 'feature-info-frame', container);
+        frame.setAttribute('sandbox', '');
+        frame.style.width = '300px';
+        frame.style.height = '200px';
+        frame.style.border = 'none';
+        frame.srcdoc = body;
+        return container;
     }
+
+    // Plain text (or anything else)
+    if (!body.trim()) return null;
+    var pre = L.DomUtil.create('pre', '', container);
+    pre.style.fontSize = '11px';
+    pre.style.whiteSpace = 'pre-wrap';
+    pre.textContent = body;
+    return container;
 }
 
-// Function to update a marker's popup content
-// Used after moving a marker to update the coordinates displayed in the popup
-export function updateMarkerPopup(marker, newPopupText) {
-    marker.setPopupContent(newPopupText);
-}
-
-// Function to attach click handler to Edit button in popup
-// This is needed because popup content is dynamically generated HTML
-export function attachEditButtonHandler(marker, buttonId, entityType, entityId, dotNetReference) {
-    // Wait for popup to be added to DOM, then attach click handler
-    marker.on('popupopen', function() {
-        setTimeout(function() {
-            var editButton = document.getElementById(buttonId);
-            if (editButton && dotNetReference) {
-                // Remove any existing handler to avoid duplicates
-                editButton.onclick = null;
-                editButton.onclick = function(e) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    dotNetReference.invokeMethodAsync('OpenEditModal', entityType, entityId);
-                };
-            }
-        }, 100);
+// Function to query the visible WMS overlays that allow it and show the results in a popup
+function showFeatureInfo(map, latlng) {
+    if (!map._featureInfoEnabled || !isMapMode(map, 'view')) return;
+
+    var queryable = map._overlayOrder
+        .map(function(id) { return map._overlays[id]; })
+        .filter(function(overlay) {
+            return overlay.visible && overlay.definition.featureInfo && getLayerType(overlay.definition) === 'wms';
+        });
+    if (queryable.length === 0) return;
+
+    var requests = queryable.map(function(overlay) {
+        return fetch(buildFeatureInfoUrl(map, overlay.definition, latlng))
+            .then(function(response) {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                var contentType = response.headers.get('Content-Type') || overlay.definition.infoFormat || 'text/html';
+                return response.text().then(function(body) {
+                    return renderFeatureInfo(overlay.definition, contentType.toLowerCase(), body);
+                });
+            })
+            .catch(function(error) {
+                console.warn('GetFeatureInfo failed for ' + overlay.definition.id + ':', error);
+                return null;
+            });
     });
-    
-    // Also try to attach immediately if popup is already open
-    setTimeout(function() {
-        var editButton = document.getElementById(buttonId);
-        if (editButton && dotNetReference) {
-            editButton.onclick = null;
-            editButton.onclick = function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                dotNetReference.invokeMethodAsync('OpenEditModal', entityType, entityId);
-            };
-        }
-    }, 200);
-}
 
-// Function to navigate the map to a specific location
-// Pans and zooms the map to center on the given coordinates
-export function navigateToLocation(map, lat, lng) {
-    // Use flyTo for smooth animation, or setView for instant navigation
-    // flyTo provides a smooth animated transition to the new location
-    map.flyTo([lat, lng], 18, {
-        animate: true,
-        duration: 1.0 // Animation duration in seconds
+    Promise.all(requests).then(function(results) {
+        var found = results.filter(function(result) { return result; });
+        if (found.length === 0) return;
+
+        var content = L.DomUtil.create('div', 'feature-info-popup');
+        content.style.maxHeight = '300px';
+        content.style.overflowY = 'auto';
+        found.forEach(function(result) { content.appendChild(result); });
+
+        L.popup({ maxWidth: 340 }).setLatLng(latlng).setContent(content).openOn(map);
     });
 }
 
-// Global function to handle photo navigation in popups
-// This needs to be in the global scope so it can be called from inline onclick handlers
-window.navigatePhoto = function(containerId, direction) {
-    var container = document.getElementById(containerId);
-    if (!container) return;
-    
-    var photosAttr = container.getAttribute('data-photos');
-    if (!photosAttr) return;
-    
-    // Decode HTML entities (file names are HTML encoded in the attribute)
-    var tempDiv = document.createElement('div');
-    tempDiv.innerHTML = photosAttr;
-    var decodedPhotos = tempDiv.textContent || tempDiv.innerText || photosAttr;
-    
-    // Split photos
-    var photos = decodedPhotos.split(',').filter(function(p) { return p.trim(); });
-    if (photos.length === 0) return;
-    
-    var current = parseInt(container.getAttribute('data-current')) || 0;
-    var baseUrlAttr = container.getAttribute('data-baseurl');
-    
-    // Decode baseUrl if it was HTML encoded
-    tempDiv.innerHTML = baseUrlAttr || '/api/photos/file/';
-    var baseUrl = tempDiv.textContent || tempDiv.innerText || (baseUrlAttr || '/api/photos/file/');
-    
-    // Update current index
-    current += direction;
-    if (current < 0) current = photos.length - 1;
-    if (current >= photos.length) current = 0;
-    
-    // Update image src - encode filename for URL
-    var img = document.getElementById('img_' + containerId);
-    if (img) {
-        var fileName = photos[current].trim();
-        img.src = baseUrl + encodeURIComponent(fileName);
-        img.alt = 'Photo ' + (current + 1) + ' of ' + photos.length;
-    }
-    
-    // Update photo count display
-    var countSpan = document.getElementById('photoCount_' + containerId);
-    if (countSpan) {
-        countSpan.textContent = (current + 1) + ' of ' + photos.length;
-    }
-    
-    // Update data attribute
-    container.setAttribute('data-current', current);
-};
+// Function to describe the registered layers so C# can build a layer switcher
+// Returns { currentBaseLayer, baseLayers: [{ id, name }], overlays: [{ id, name, visible, linked }] }
+export function getMapLayers(map) {
+    if (!map || !map._baseLayers) return null;
 
-// Function to invalidate the map size, forcing Leaflet to recalculate dimensions
-// This should be called after the container size changes (e.g., after DOM updates)
-export function invalidateMapSize(map) {
-    if (map) {
-        map.invalidateSize();
-    }
+    return {
+        currentBaseLayer: map._currentMapType,
+        baseLayers: map._baseLayerOrder.map(function(id) {
+            var definition = map._baseLayers[id].definition;
+            return { id: id, name: definition.name || id };
+        }),
+        overlays: map._overlayOrder.map(function(id) {
+            var overlay = map._overlays[id];
+            return {
+                id: id,
+                name: overlay.definition.name || id,
+                visible: overlay.visible,
+                // Linked overlays follow the base layer and are not toggled by the user
+                linked: !!(overlay.definition.showWith && overlay.definition.showWith.length > 0)
+            };
+        })
+    };
 }
 
-// Function to create a white circle marker for cable vertices
-// These markers are visible at each point of the cable (similar to Google My Maps)
-// Note: Marker is created but not added to map initially - will be shown when cable is selected or dragging
-export function addCableVertexMarker(map, lat, lng) {
-    // Create a white circle marker with a border
-    // Don't add to map initially - will be shown/hidden based on selection state
-    var marker = L.circleMarker([lat, lng], {
-        radius: 6,
-        fillColor: '#ffffff',
-        color: '#333333',
-        weight: 2,
-        opacity: 1,
-        fillOpacity: 1
-    });
-    // Note: Not calling .addTo(map) here - marker will be added when shown
-    
-    return marker;
+// Function to switch between default and satellite map views
+// Kept for existing callers; prefer setBaseLayer with a layer id
+export function toggleMapView(map, useSatellite) {
+    if (!map) return;
+    setBaseLayer(map, useSatellite ? 'satellite' : 'default');
 }
 
-// Function to add an editable polyline with drag support for the entire cable
-// Returns the polyline so it can be stored and deleted later
-export function addEditablePolyline(map, coordinates, color, popupText, entityId, dotNetReference) {
-    // Map color names to hex values
-    var colorMap = {
-        'Black': '#000000',
-        'Blue': '#0066CC',
-        'Orange': '#FF6600',
-        'Green': '#28A745',
-        'Brown': '#8B4513',
-        'Pink': '#FF69B4',
-        'Teal': '#008080'
+// ---------------------------------------------------------------------------
+// Saved map view
+// The center, zoom, base layer and visible overlays are written to the URL hash
+// (#map=zoom/lat/lng&base=id&overlays=id,id) and to local storage, so a reload
+// or a shared link reopens the same view. The hash wins over local storage.
+// ---------------------------------------------------------------------------
+
+var VIEW_STATE_STORAGE_KEY = 'foms-map-view';
+
+// Function to parse a view state from the URL hash
+// Returns null if the hash has no map view in it
+function readViewStateFromHash() {
+    var hash = window.location.hash ? window.location.hash.substring(1) : '';
+    if (!hash) return null;
+
+    var params = new URLSearchParams(hash);
+    var mapParam = params.get('map');
+    if (!mapParam) return null;
+
+    var parts = mapParam.split('/');
+    var state = {
+        zoom: parseFloat(parts[0]),
+        lat: parseFloat(parts[1]),
+        lng: parseFloat(parts[2]),
+        baseLayer: params.get('base'),
+        overlays: params.has('overlays') ? params.get('overlays').split(',').filter(function(id) { return id; }) : null
     };
-    
-    var hexColor = colorMap[color] || color || '#000000';
-    
-    var polyline = L.polyline(coordinates, {
-        color: hexColor,
-        weight: 4,
-        opacity: 0.8
-    }).addTo(map);
+    return isValidViewState(state) ? state : null;
+}
 
-    if (popupText) {
-        polyline.bindPopup(popupText);
+// Function to read the last saved view state from local storage
+function readViewStateFromStorage() {
+    try {
+        var state = JSON.parse(localStorage.getItem(VIEW_STATE_STORAGE_KEY));
+        return isValidViewState(state) ? state : null;
+    } catch (error) {
+        console.warn('Could not read saved map view:', error);
+        return null;
     }
+}
+
+// Function to check that a view state has a usable center and zoom
+function isValidViewState(state) {
+    return !!state &&
+        isFinite(state.lat) && Math.abs(state.lat) <= 90 &&
+        isFinite(state.lng) && Math.abs(state.lng) <= 180 &&
+        isFinite(state.zoom);
+}
+
+// Function to write the map's view state to the URL hash and local storage
+// Other hash parameters are kept; history.replaceState is used so panning doesn't add history entries
+function saveViewState(map) {
+    if (!map || !map._persistView) return;
+
+    var state = getViewState(map);
+
+    var params = new URLSearchParams(window.location.hash ? window.location.hash.substring(1) : '');
+    params.set('map', state.zoom + '/' + state.lat.toFixed(6) + '/' + state.lng.toFixed(6));
+    if (state.baseLayer) {
+        params.set('base', state.baseLayer);
+    }
+    params.set('overlays', state.overlays.join(','));
+
+    // URLSearchParams encodes "/" and ","; keep them readable in the hash
+    var hash = '#' + params.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',');
+    if (hash !== window.location.hash) {
+        map._lastWrittenHash = hash;
+        history.replaceState(history.state, '', window.location.pathname + window.location.search + hash);
+    }
+
+    try {
+        localStorage.setItem(VIEW_STATE_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Could not save map view:', error);
+    }
+}
+
+// Function to apply a view state to the map without saving it
+function applyViewState(map, state) {
+    if (!isValidViewState(state)) return false;
+
+    map.setView([state.lat, state.lng], state.zoom);
+
+    if (state.baseLayer && map._baseLayers[state.baseLayer]) {
+        setBaseLayer(map, state.baseLayer);
+    }
+
+    // Only user-toggled overlays are restored; linked overlays follow the base layer
+    if (state.overlays) {
+        map._overlayOrder.forEach(function(overlayId) {
+            var showWith = map._overlays[overlayId].definition.showWith;
+            if (showWith && showWith.length > 0) return;
+            setOverlayVisible(map, overlayId, state.overlays.indexOf(overlayId) !== -1);
+        });
+    }
+    return true;
+}
+
+// Function to get the current view state so C# can read it
+// Returns { lat, lng, zoom, baseLayer, overlays: [overlayId, ...] }
+export function getViewState(map) {
+    if (!map) return null;
+
+    var center = map.getCenter();
+    return {
+        lat: center.lat,
+        lng: center.lng,
+        zoom: map.getZoom(),
+        baseLayer: map._currentMapType,
+        overlays: map._overlayOrder.filter(function(overlayId) { return map._overlays[overlayId].visible; })
+    };
+}
+
+// Function to set the view state from C# (missing baseLayer/overlays leave those unchanged)
+// Returns true if the state was valid and applied
+export function setViewState(map, state) {
+    if (!map || !applyViewState(map, state)) return false;
+
+    saveViewState(map);
+    return true;
+}
+
+// Function to tell C# whether initMap reopened a saved view
+// C# skips fitting the map to its data when this is true so the saved view is kept
+export function hasRestoredView(map) {
+    return !!(map && map._viewRestored);
+}
+
+// Function to start keeping the view state in the URL hash and local storage
+// Restores the saved view first (hash, then local storage) and returns true if one was restored
+function initViewStatePersistence(map) {
+    var restored = applyViewState(map, readViewStateFromHash() || readViewStateFromStorage());
+
+    map._persistView = true;
+    map.on('moveend', function() {
+        saveViewState(map);
+    });
+
+    // A link pasted into the same tab only changes the hash, so apply it without a reload
+    // The listener is removed with the map (see disposeMap), so a map from an earlier page visit stops listening
+    var onHashChange = function() {
+        if (window.location.hash === map._lastWrittenHash) return;
+        if (applyViewState(map, readViewStateFromHash())) {
+            saveViewState(map);
+        }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    map.on('unload', function() {
+        window.removeEventListener('hashchange', onHashChange);
+    });
+
+    saveViewState(map);
+    return restored;
+}
+
+// ---------------------------------------------------------------------------
+// Coordinate readout and scale bar
+// A control in the bottom-left corner shows the cursor position in decimal degrees,
+// DMS, UTM or MGRS, with a metric/imperial scale bar next to it. All conversions are
+// done here (WGS84), with no network calls. Clicking the readout copies it.
+// ---------------------------------------------------------------------------
+
+var COORDINATE_FORMAT_STORAGE_KEY = 'foms-coordinate-format';
+var SCALE_UNITS_STORAGE_KEY = 'foms-scale-units';
+
+var COORDINATE_FORMATS = [
+    { id: 'dd', name: 'DD' },
+    { id: 'dms', name: 'DMS' },
+    { id: 'utm', name: 'UTM' },
+    { id: 'mgrs', name: 'MGRS' }
+];
+
+// WGS84 ellipsoid and UTM constants
+var WGS84_A = 6378137;
+var WGS84_F = 1 / 298.257223563;
+var UTM_K0 = 0.9996;
+
+// MGRS latitude bands (8 degrees each from 80S, X is 12 degrees)
+var MGRS_LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// MGRS 100 km square letters: column sets repeat every 3 zones, rows are offset in even zones
+var MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+var MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Function to get the UTM zone for a location, including the Norway and Svalbard exceptions
+function getUtmZone(lat, lng) {
+    var zone = Math.floor((lng + 180) / 6) + 1;
+    if (zone > 60) zone = 60; // lng = 180
+
+    if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+    if (lat >= 72 && lat < 84) {
+        if (lng >= 0 && lng < 9) return 31;
+        if (lng >= 9 && lng < 21) return 33;
+        if (lng >= 21 && lng < 33) return 35;
+        if (lng >= 33 && lng < 42) return 37;
+    }
+    return zone;
+}
+
+// Function to get the MGRS latitude band letter (also used in UTM notation)
+function getLatitudeBand(lat) {
+    var index = Math.floor((lat + 80) / 8);
+    return MGRS_LATITUDE_BANDS.charAt(Math.max(0, Math.min(index, MGRS_LATITUDE_BANDS.length - 1)));
+}
+
+// Function to convert WGS84 latitude/longitude to UTM
+// Returns { zone, band, easting, northing } or null outside UTM coverage (80S to 84N)
+function latLngToUtm(lat, lng) {
+    if (lat < -80 || lat > 84) return null;
+
+    var zone = getUtmZone(lat, lng);
+    var centralMeridian = (zone - 1) * 6 - 180 + 3;
+
+    var e2 = WGS84_F * (2 - WGS84_F);
+    var e4 = e2 * e2;
+    var e6 = e4 * e2;
+    var ep2 = e2 / (1 - e2);
+
+    var phi = lat * Math.PI / 180;
+    var sinPhi = Math.sin(phi);
+    var cosPhi = Math.cos(phi);
+    var tanPhi = Math.tan(phi);
+
+    // Transverse Mercator series (Snyder, Map Projections - A Working Manual, p. 61)
+    var n = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    var t = tanPhi * tanPhi;
+    var c = ep2 * cosPhi * cosPhi;
+    var a = cosPhi * (lng - centralMeridian) * Math.PI / 180;
+    var m = WGS84_A * (
+        (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+        (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+        (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+        (35 * e6 / 3072) * Math.sin(6 * phi));
+
+    var easting = UTM_K0 * n * (a + (1 - t + c) * Math.pow(a, 3) / 6 +
+        (5 - 18 * t + t * t + 72 * c - 58 * ep2) * Math.pow(a, 5) / 120) + 500000;
+    var northing = UTM_K0 * (m + n * tanPhi * (a * a / 2 +
+        (5 - t + 9 * c + 4 * c * c) * Math.pow(a, 4) / 24 +
+        (61 - 58 * t + t * t + 600 * c - 330 * ep2) * Math.pow(a, 6) / 720));
+    if (lat < 0) {
+        northing += 10000000; // False northing for the southern hemisphere
+    }
+
+    return { zone: zone, band: getLatitudeBand(lat), easting: easting, northing: northing };
+}
+
+// Function to convert WGS84 latitude/longitude to an MGRS grid reference (1 m precision)
+// Returns null in the polar regions, which MGRS covers with UPS instead of UTM
+function latLngToMgrs(lat, lng) {
+    var utm = latLngToUtm(lat, lng);
+    if (!utm) return null;
+
+    var easting = Math.floor(utm.easting);
+    var northing = Math.floor(utm.northing);
+
+    var columnLetters = MGRS_COLUMN_SETS[(utm.zone - 1) % 3];
+    var column = columnLetters.charAt(Math.floor(easting / 100000) - 1);
+    var rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+    var row = MGRS_ROW_LETTERS.charAt((Math.floor(northing / 100000) + rowOffset) % 20);
+
+    var pad = function(value) { return ('00000' + (value % 100000)).slice(-5); };
+    return utm.zone + utm.band + ' ' + column + row + ' ' + pad(easting) + ' ' + pad(northing);
+}
+
+// Function to format one coordinate as degrees, minutes and seconds
+function formatDms(value, positive, negative) {
+    var absolute = Math.abs(value);
+    var degrees = Math.floor(absolute);
+    var minutesFull = (absolute - degrees) * 60;
+    var minutes = Math.floor(minutesFull);
+    var seconds = (minutesFull - minutes) * 60;
+
+    // Avoid showing 60.0" after rounding
+    if (seconds >= 59.95) {
+        seconds = 0;
+        minutes += 1;
+        if (minutes === 60) {
+            minutes = 0;
+            degrees += 1;
+        }
+    }
+
+    return degrees + '°' + ('0' + minutes).slice(-2) + '\'' +
+        (seconds < 10 ? '0' : '') + seconds.toFixed(1) + '"' + (value < 0 ? negative : positive);
+}
+
+// Function to format a location in one of the readout formats ('dd', 'dms', 'utm', 'mgrs')
+// Exported so C# can show coordinates in the same format as the readout
+export function formatCoordinates(lat, lng, format) {
+    // Wrap longitudes from a panned-around world back into -180..180
+    lng = ((lng + 180) % 360 + 360) % 360 - 180;
+
+    switch (format) {
+        case 'dms':
+            return formatDms(lat, 'N', 'S') + ' ' + formatDms(lng, 'E', 'W');
+        case 'utm':
+            var utm = latLngToUtm(lat, lng);
+            return utm
+                ? utm.zone + utm.band + ' ' + Math.floor(utm.easting) + 'mE ' + Math.floor(utm.northing) + 'mN'
+                : 'Outside UTM coverage';
+        case 'mgrs':
+            return latLngToMgrs(lat, lng) || 'Outside MGRS (UTM) coverage';
+        default:
+            return lat.toFixed(6) + ', ' + lng.toFixed(6);
+    }
+}
+
+// Function to read a saved display preference, falling back if it isn't one of the allowed values
+function readPreference(key, allowed, fallback) {
+    try {
+        var value = localStorage.getItem(key);
+        return allowed.indexOf(value) !== -1 ? value : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Function to save a display preference (ignored if storage is unavailable)
+function writePreference(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn('Could not save preference ' + key + ':', error);
+    }
+}
+
+// Leaflet control showing the cursor position, a format switcher and a scale units switcher
+// While the cursor is off the map it shows the last clicked location (or the map center)
+var CoordinateControl = L.Control.extend({
+    options: { position: 'bottomleft' },
+
+    onAdd: function(map) {
+        var control = this;
+        var container = L.DomUtil.create('div', 'leaflet-control-coordinates leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        // Format switcher
+        var formatSelect = L.DomUtil.create('select', 'coordinate-format-select', container);
+        formatSelect.title = 'Coordinate format';
+        formatSelect.setAttribute('aria-label', 'Coordinate format');
+        COORDINATE_FORMATS.forEach(function(format) {
+            var option = L.DomUtil.create('option', '', formatSelect);
+            option.value = format.id;
+            option.textContent = format.name;
+        });
+        formatSelect.value = map._coordinateFormat;
+        L.DomEvent.on(formatSelect, 'change', function() {
+            setCoordinateFormat(map, formatSelect.value);
+        });
+
+        // Readout (a button so it can be copied with the keyboard too)
+        this._readout = L.DomUtil.create('button', 'coordinate-readout', container);
+        this._readout.type = 'button';
+        this._readout.title = 'Click to copy';
+        L.DomEvent.on(this._readout, 'click', function() {
+            control._copy();
+        });
+
+        // Scale units switcher
+        var unitsSelect = L.DomUtil.create('select', 'scale-units-select', container);
+        unitsSelect.title = 'Scale units';
+        unitsSelect.setAttribute('aria-label', 'Scale units');
+        [{ id: 'metric', name: 'm' }, { id: 'imperial', name: 'ft' }].forEach(function(units) {
+            var option = L.DomUtil.create('option', '', unitsSelect);
+            option.value = units.id;
+            option.textContent = units.name;
+        });
+        unitsSelect.value = map._scaleUnits;
+        L.DomEvent.on(unitsSelect, 'change', function() {
+            setScaleUnits(map, unitsSelect.value);
+        });
+
+        this._formatSelect = formatSelect;
+        this._unitsSelect = unitsSelect;
+        this._hoverLatLng = null;
+        this._clickedLatLng = null;
+
+        map.on('mousemove', this._onMouseMove, this);
+        map.on('mouseout', this._onMouseOut, this);
+        map.on('click', this._onMapClick, this);
+        map.on('moveend', this.update, this);
+
+        this.update();
+        return container;
+    },
+
+    onRemove: function(map) {
+        map.off('mousemove', this._onMouseMove, this);
+        map.off('mouseout', this._onMouseOut, this);
+        map.off('click', this._onMapClick, this);
+        map.off('moveend', this.update, this);
+    },
+
+    _onMouseMove: function(e) {
+        this._hoverLatLng = e.latlng;
+        this.update();
+    },
+
+    _onMouseOut: function() {
+        this._hoverLatLng = null;
+        this.update();
+    },
+
+    _onMapClick: function(e) {
+        this._clickedLatLng = e.latlng;
+        this.update();
+    },
+
+    // Location shown in the readout: cursor, else last click, else map center
+    _getLatLng: function() {
+        return this._hoverLatLng || this._clickedLatLng || this._map.getCenter();
+    },
+
+    update: function() {
+        if (!this._readout) return;
+
+        var latlng = this._getLatLng();
+        this._readout.textContent = formatCoordinates(latlng.lat, latlng.lng, this._map._coordinateFormat);
+        this._formatSelect.value = this._map._coordinateFormat;
+        this._unitsSelect.value = this._map._scaleUnits;
+    },
+
+    _copy: function() {
+        var readout = this._readout;
+        var text = readout.textContent;
+
+        if (!navigator.clipboard) {
+            console.warn('Clipboard is not available');
+            return;
+        }
+
+        navigator.clipboard.writeText(text).then(function() {
+            // Brief confirmation, then back to the coordinates
+            readout.textContent = 'Copied';
+            setTimeout(function() {
+                if (readout.textContent === 'Copied') {
+                    readout.textContent = text;
+                }
+            }, 1000);
+        }).catch(function(error) {
+            console.warn('Could not copy coordinates:', error);
+        });
+    }
+});
+
+// Function to add the coordinate readout and scale bar to the map
+// Uses the format and units saved in local storage (decimal degrees and metric by default)
+function addCoordinateControls(map) {
+    map._coordinateFormat = readPreference(COORDINATE_FORMAT_STORAGE_KEY, COORDINATE_FORMATS.map(function(f) { return f.id; }), 'dd');
+    map._scaleUnits = readPreference(SCALE_UNITS_STORAGE_KEY, ['metric', 'imperial'], 'metric');
+
+    map._coordinateControl = new CoordinateControl().addTo(map);
+    setScaleUnits(map, map._scaleUnits);
+}
+
+// Function to change the readout format ('dd', 'dms', 'utm' or 'mgrs') and remember it
+export function setCoordinateFormat(map, format) {
+    if (!map || !COORDINATE_FORMATS.some(function(f) { return f.id === format; })) return false;
+
+    map._coordinateFormat = format;
+    writePreference(COORDINATE_FORMAT_STORAGE_KEY, format);
+    if (map._coordinateControl) {
+        map._coordinateControl.update();
+    }
+    return true;
+}
+
+// Function to switch the scale bar between 'metric' and 'imperial' and remember it
+export function setScaleUnits(map, units) {
+    if (!map || (units !== 'metric' && units !== 'imperial')) return false;
+
+    map._scaleUnits = units;
+    writePreference(SCALE_UNITS_STORAGE_KEY, units);
+
+    // Leaflet's scale control can't change units once added, so replace it
+    if (map._scaleControl) {
+        map.removeControl(map._scaleControl);
+    }
+    map._scaleControl = L.control.scale({
+        position: 'bottomleft',
+        metric: units === 'metric',
+        imperial: units === 'imperial'
+    }).addTo(map);
+
+    if (map._coordinateControl) {
+        map._coordinateControl.update();
+    }
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Offline tile cache
+// Tiles for a chosen area and zoom range are downloaded into IndexedDB so the map
+// still renders in places without signal. Tile layers created by initMap read from
+// this cache first and only go to the network for tiles that are not stored.
+// ---------------------------------------------------------------------------
+
+var TILE_DB_NAME = 'foms-offline-tiles';
+var TILE_DB_VERSION = 1;
+var TILE_STORE = 'tiles'; // key: 'layerId/z/x/y', value: { key, blob, size, areas: [areaId, ...] }
+var AREA_STORE = 'areas'; // key: area id, value: area summary (name, bounds, zoom range, layers, size)
+
+// Upper limit on tiles per offline area, so a large area at street-level zoom
+// doesn't fill the device or hammer the tile servers
+var MAX_OFFLINE_TILES = 10000;
+
+// Number of tiles downloaded in parallel
+var OFFLINE_DOWNLOAD_CONCURRENCY = 4;
+
+// Promise for the opened database (opened once and shared)
+var tileDbPromise = null;
+
+// Function to open (and create/upgrade if needed) the offline tile database
+function openTileDb() {
+    if (tileDbPromise) return tileDbPromise;
+
+    tileDbPromise = new Promise(function(resolve, reject) {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not supported in this browser.'));
+            return;
+        }
+
+        var request = window.indexedDB.open(TILE_DB_NAME, TILE_DB_VERSION);
+        request.onupgradeneeded = function() {
+            var db = request.result;
+            if (!db.objectStoreNames.contains(TILE_STORE)) {
+                db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(AREA_STORE)) {
+                db.createObjectStore(AREA_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() { reject(request.error); };
+    });
+
+    // Allow a retry on the next call if opening failed
+    tileDbPromise.catch(function() { tileDbPromise = null; });
+    return tileDbPromise;
+}
+
+// Function to wrap an IndexedDB request in a promise
+function idbRequest(request) {
+    return new Promise(function(resolve, reject) {
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() { reject(request.error); };
+    });
+}
+
+// Function to build the cache key for a tile
+function getTileCacheKey(layerId, z, x, y) {
+    return layerId + '/' + z + '/' + x + '/' + y;
+}
+
+// Function to read a cached tile blob (resolves to null if the tile isn't stored)
+function getCachedTile(key) {
+    return openTileDb().then(function(db) {
+        var store = db.transaction(TILE_STORE, 'readonly').objectStore(TILE_STORE);
+        return idbRequest(store.get(key));
+    }).then(function(record) {
+        return record ? record.blob : null;
+    });
+}
+
+// Tile layer that looks in the offline cache before requesting a tile from the network
+var CachedTileLayer = L.TileLayer.extend({
+    createTile: function(coords, done) {
+        var tile = document.createElement('img');
+        var tileUrl = this.getTileUrl(coords);
+
+        L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+        L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+
+        // Request tiles with CORS so they can be drawn into map exports
+        if (this.options.crossOrigin || this.options.crossOrigin === '') {
+            tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
+        }
+
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+
+        if (!this.options.layerId) {
+            tile.src = tileUrl;
+            return tile;
+        }
+
+        getCachedTile(getTileCacheKey(this.options.layerId, coords.z, coords.x, coords.y))
+            .then(function(blob) {
+                if (blob) {
+                    // Serve the stored tile and release the object URL once it has been drawn
+                    var objectUrl = URL.createObjectURL(blob);
+                    L.DomEvent.on(tile, 'load error', function() { URL.revokeObjectURL(objectUrl); });
+                    tile.src = objectUrl;
+                } else {
+                    tile.src = tileUrl;
+                }
+            })
+            .catch(function() {
+                // Cache unavailable (private browsing, etc.) - just use the network
+                tile.src = tileUrl;
+            });
+
+        return tile;
+    }
+});
+
+// WMS version of the cached tile layer (same cache lookup, WMS GetMap URLs)
+// layerId is declared as an option so Leaflet doesn't send it as a WMS request parameter
+var CachedWmsLayer = L.TileLayer.WMS.extend({
+    options: { layerId: null },
+    createTile: CachedTileLayer.prototype.createTile
+});
+
+// Function to convert a longitude to a tile X index at the given zoom
+function lngToTileX(lng, z) {
+    var n = Math.pow(2, z);
+    return Math.min(n - 1, Math.max(0, Math.floor((lng + 180) / 360 * n)));
+}
+
+// Function to convert a latitude to a tile Y index at the given zoom (Web Mercator)
+function latToTileY(lat, z) {
+    var n = Math.pow(2, z);
+    var latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+    var y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+    return Math.min(n - 1, Math.max(0, y));
+}
+
+// Function to list every tile covering a bounds over a zoom range
+// bounds: { south, west, north, east }
+// Returns an array of { z, x, y }
+function listTilesForArea(bounds, minZoom, maxZoom) {
+    var tiles = [];
+    for (var z = minZoom; z <= maxZoom; z++) {
+        var xMin = lngToTileX(bounds.west, z);
+        var xMax = lngToTileX(bounds.east, z);
+        var yMin = latToTileY(bounds.north, z); // Tile Y grows southward
+        var yMax = latToTileY(bounds.south, z);
+        for (var x = xMin; x <= xMax; x++) {
+            for (var y = yMin; y <= yMax; y++) {
+                tiles.push({ z: z, x: x, y: y });
+            }
+        }
+    }
+    return tiles;
+}
+
+// Function to look up the definitions of the tile layers to download for an area
+// When layerIds is empty, the current base layer and visible overlays are used
+// Only layers with allowOffline set are included: most public tile servers (OpenStreetMap, Esri)
+// don't allow bulk downloads, so a layer has to opt in for servers the organisation may seed
+function getOfflineLayerDefinitions(map, layerIds) {
+    var ids = (layerIds && layerIds.length > 0) ? layerIds : getVisibleTileLayerIds(map);
+    return ids.map(function(id) {
+        var entry = (map._baseLayers && map._baseLayers[id]) || (map._overlays && map._overlays[id]);
+        return entry ? entry.definition : null;
+    }).filter(function(definition) {
+        return isValidLayerDefinition(definition) && definition.allowOffline === true;
+    });
+}
+
+// Function to list the tiles to download for an area: each layer's tiles over the zoom range,
+// clamped to the zoom levels that layer provides (its minZoom and maxZoom)
+// Returns an array of { definition, tile }
+function listOfflineJobs(bounds, minZoom, maxZoom, layerDefinitions) {
+    var jobs = [];
+    layerDefinitions.forEach(function(definition) {
+        var layerMinZoom = Math.max(minZoom, definition.minZoom || 0);
+        var layerMaxZoom = Math.min(maxZoom, definition.maxZoom || 19);
+        if (layerMinZoom > layerMaxZoom) return;
+
+        listTilesForArea(bounds, layerMinZoom, layerMaxZoom).forEach(function(tile) {
+            jobs.push({ definition: definition, tile: tile });
+        });
+    });
+    return jobs;
+}
+
+// Function to count the tiles an offline area would need (used to warn before downloading)
+// Counts the same tiles downloadOfflineArea fetches: per layer that allows offline use, within the zooms each layer provides
+// Returns 0 when none of the layers allow offline use
+// layerIds (optional): layers to count; the current base layer and visible overlays when empty
+export function countOfflineTiles(map, bounds, minZoom, maxZoom, layerIds) {
+    if (!map || !bounds) return 0;
+    minZoom = Math.max(0, minZoom || 0);
+    maxZoom = Math.max(minZoom, maxZoom || minZoom);
+    return listOfflineJobs(bounds, minZoom, maxZoom, getOfflineLayerDefinitions(map, layerIds)).length;
+}
+
+// Map control shown while an offline area is drawn: a Cancel button for touch screens, which have no Escape key
+var OfflineAreaControl = L.Control.extend({
+    options: {
+        position: 'topright',
+        onCancel: null
+    },
+
+    onAdd: function() {
+        var container = L.DomUtil.create('div', 'leaflet-bar offline-area-control');
+        var button = L.DomUtil.create('button', 'offline-area-cancel', container);
+        button.type = 'button';
+        button.textContent = 'Cancel';
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(button, 'click', this.options.onCancel);
+        return container;
+    }
+});
+
+// Function to let the user draw a rectangle on the map for an offline area
+// Works with a mouse, pen or one finger (pointer events); a second finger drops the rectangle so the
+// map can be pinched and moved, and drawing starts again with the next single-finger drag
+// Resolves to { south, west, north, east } once the rectangle is drawn, or null if cancelled with Escape or Cancel
+export function drawOfflineArea(map) {
+    return new Promise(function(resolve) {
+        if (!map) {
+            resolve(null);
+            return;
+        }
+
+        var container = map.getContainer();
+        var startLatLng = null;
+        var drawingPointerId = null;
+        var activePointers = {};
+        var rectangle = null;
+        var previousCursor = container.style.cursor;
+        var previousTouchAction = container.style.touchAction;
+        var cancelControl = new OfflineAreaControl({ onCancel: function() { finish(null); } });
+
+        map.dragging.disable();
+        container.style.cursor = 'crosshair';
+        container.style.touchAction = 'none'; // A finger draws instead of scrolling the page
+        cancelControl.addTo(map);
+
+        var clearRectangle = function() {
+            startLatLng = null;
+            drawingPointerId = null;
+            if (rectangle) {
+                map.removeLayer(rectangle);
+                rectangle = null;
+            }
+        };
+
+        var finish = function(result) {
+            L.DomEvent.off(container, 'pointerdown', onPointerDown);
+            L.DomEvent.off(container, 'pointermove', onPointerMove);
+            L.DomEvent.off(container, 'pointerup pointercancel', onPointerUp);
+            document.removeEventListener('keydown', onKeyDown);
+            clearRectangle();
+            map.removeControl(cancelControl);
+            map.dragging.enable();
+            container.style.cursor = previousCursor;
+            container.style.touchAction = previousTouchAction;
+            resolve(result);
+        };
+
+        var onPointerDown = function(e) {
+            // Leave the map's controls (including Cancel) alone
+            if (e.target.closest && e.target.closest('.leaflet-control')) return;
+
+            activePointers[e.pointerId] = true;
+            if (Object.keys(activePointers).length > 1) {
+                // Second finger: pinch zoom and pan take over
+                clearRectangle();
+                return;
+            }
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+            drawingPointerId = e.pointerId;
+            startLatLng = map.mouseEventToLatLng(e);
+            if (container.setPointerCapture) {
+                container.setPointerCapture(e.pointerId); // Keep following the drag outside the map
+            }
+            rectangle = L.rectangle(L.latLngBounds(startLatLng, startLatLng), {
+                color: '#0066CC',
+                weight: 2,
+                dashArray: '6 4',
+                fillOpacity: 0.1,
+                interactive: false
+            }).addTo(map);
+        };
+
+        var onPointerMove = function(e) {
+            if (e.pointerId === drawingPointerId && rectangle) {
+                rectangle.setBounds(L.latLngBounds(startLatLng, map.mouseEventToLatLng(e)));
+            }
+        };
+
+        var onPointerUp = function(e) {
+            delete activePointers[e.pointerId];
+            if (e.pointerId !== drawingPointerId || !startLatLng) return;
+
+            var bounds = L.latLngBounds(startLatLng, map.mouseEventToLatLng(e));
+            // Ignore cancelled pointers and taps without a drag
+            if (e.type === 'pointercancel' || bounds.getNorth() === bounds.getSouth() || bounds.getEast() === bounds.getWest()) {
+                clearRectangle();
+                return;
+            }
+            finish({
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            });
+        };
+
+        var onKeyDown = function(e) {
+            if (e.key === 'Escape') {
+                finish(null);
+            }
+        };
+
+        L.DomEvent.on(container, 'pointerdown', onPointerDown);
+        L.DomEvent.on(container, 'pointermove', onPointerMove);
+        L.DomEvent.on(container, 'pointerup pointercancel', onPointerUp);
+        document.addEventListener('keydown', onKeyDown);
+    });
+}
+
+// Function to download all tiles for an area into the offline cache
+// area: { name, bounds: { south, west, north, east }, minZoom, maxZoom, layerIds (optional) }
+// When layerIds is empty, the current base layer and visible overlays are downloaded
+// Only layers with allowOffline set are downloaded (see getOfflineLayerDefinitions)
+// Progress is reported through dotNetReference.OnOfflineDownloadProgress(completed, total)
+// Resolves to the saved area summary
+export async function downloadOfflineArea(map, area, dotNetReference) {
+    if (!map || !area || !area.bounds) {
+        throw new Error('An area with bounds is required.');
+    }
+
+    var minZoom = Math.max(0, area.minZoom || 0);
+    var maxZoom = Math.max(minZoom, area.maxZoom || minZoom);
+
+    // Work out which layers to download
+    var layerDefinitions = getOfflineLayerDefinitions(map, area.layerIds);
+    if (layerDefinitions.length === 0) {
+        throw new Error('None of the map layers shown allow offline use. ' +
+            'Only layers with AllowOffline set in the map configuration can be downloaded.');
+    }
+
+    // Build the full download list, skipping zoom levels a layer doesn't provide
+    var jobs = listOfflineJobs(area.bounds, minZoom, maxZoom, layerDefinitions);
+
+    if (jobs.length > MAX_OFFLINE_TILES) {
+        throw new Error('This area needs ' + jobs.length + ' tiles, which is more than the limit of ' +
+            MAX_OFFLINE_TILES + '. Choose a smaller area or a lower maximum zoom.');
+    }
+
+    var db = await openTileDb();
+    var areaId = 'area_' + Date.now();
+    var completed = 0;
+    var failed = 0;
+    var totalBytes = 0;
+    var lastReport = 0;
+
+    // Ask the browser not to evict our storage under pressure (best effort)
+    if (navigator.storage && navigator.storage.persist) {
+        try { await navigator.storage.persist(); } catch (e) { /* ignore */ }
+    }
+
+    // Progress stops once a report fails (e.g. the page was left mid-download); the download carries on
+    var reportProgress = function(force) {
+        var now = Date.now();
+        if (dotNetReference && (force || now - lastReport > 250)) {
+            lastReport = now;
+            dotNetReference.invokeMethodAsync('OnOfflineDownloadProgress', completed, jobs.length).catch(function() {
+                dotNetReference = null;
+            });
+        }
+    };
+
+    // Store one tile, sharing it with any other area that already holds it
+    var saveTile = function(key, blob) {
+        return new Promise(function(resolve, reject) {
+            var tx = db.transaction(TILE_STORE, 'readwrite');
+            var store = tx.objectStore(TILE_STORE);
+            var getRequest = store.get(key);
+            getRequest.onsuccess = function() {
+                var record = getRequest.result || { key: key, areas: [] };
+                record.blob = blob;
+                record.size = blob.size;
+                if (record.areas.indexOf(areaId) === -1) {
+                    record.areas.push(areaId);
+                }
+                store.put(record);
+            };
+            tx.oncomplete = function() { resolve(); };
+            tx.onerror = function() { reject(tx.error); };
+        });
+    };
+
+    var nextJob = 0;
+    var worker = async function() {
+        while (nextJob < jobs.length) {
+            var job = jobs[nextJob++];
+            var url = getDefinitionTileUrl(job.definition, job.tile.z, job.tile.x, job.tile.y);
+            try {
+                var response = await fetch(url, { mode: 'cors' });
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                var blob = await response.blob();
+                await saveTile(getTileCacheKey(job.definition.id, job.tile.z, job.tile.x, job.tile.y), blob);
+                totalBytes += blob.size;
+            } catch (error) {
+                failed++;
+            }
+            completed++;
+            reportProgress(false);
+        }
+    };
+
+    var workers = [];
+    for (var i = 0; i < OFFLINE_DOWNLOAD_CONCURRENCY; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    reportProgress(true);
+
+    // Save the area summary so it can be listed and removed later
+    var summary = {
+        id: areaId,
+        name: area.name || 'Offline area',
+        bounds: area.bounds,
+        minZoom: minZoom,
+        maxZoom: maxZoom,
+        layerIds: layerDefinitions.map(function(definition) { return definition.id; }),
+        tileCount: jobs.length - failed,
+        failedTileCount: failed,
+        sizeBytes: totalBytes,
+        createdAt: new Date().toISOString()
+    };
+    var areaTx = db.transaction(AREA_STORE, 'readwrite');
+    await idbRequest(areaTx.objectStore(AREA_STORE).put(summary));
+
+    return summary;
+}
+
+// Function to get the ids of the tile layers currently shown on the map
+function getVisibleTileLayerIds(map) {
+    var ids = [];
+    if (map._currentMapType) {
+        ids.push(map._currentMapType);
+    }
+    (map._overlayOrder || []).forEach(function(id) {
+        if (map._overlays[id].visible) {
+            ids.push(id);
+        }
+    });
+    return ids;
+}
+
+// Function to list the saved offline areas (newest first)
+export async function getOfflineAreas() {
+    try {
+        var db = await openTileDb();
+        var store = db.transaction(AREA_STORE, 'readonly').objectStore(AREA_STORE);
+        var areas = await idbRequest(store.getAll());
+        return areas.sort(function(a, b) { return b.createdAt.localeCompare(a.createdAt); });
+    } catch (error) {
+        console.warn('Could not read offline areas:', error);
+        return [];
+    }
+}
+
+// Function to remove an offline area and any tiles no other area still uses
+export async function removeOfflineArea(areaId) {
+    var db = await openTileDb();
+    var area = await idbRequest(db.transaction(AREA_STORE, 'readonly').objectStore(AREA_STORE).get(areaId));
+    if (!area) return false;
+
+    // Recompute the area's tile keys from its bounds, zoom range and layers
+    var keys = [];
+    listTilesForArea(area.bounds, area.minZoom, area.maxZoom).forEach(function(tile) {
+        area.layerIds.forEach(function(layerId) {
+            keys.push(getTileCacheKey(layerId, tile.z, tile.x, tile.y));
+        });
+    });
+
+    await new Promise(function(resolve, reject) {
+        var tx = db.transaction([TILE_STORE, AREA_STORE], 'readwrite');
+        var tileStore = tx.objectStore(TILE_STORE);
+        keys.forEach(function(key) {
+            var getRequest = tileStore.get(key);
+            getRequest.onsuccess = function() {
+                var record = getRequest.result;
+                if (!record) return;
+                record.areas = record.areas.filter(function(id) { return id !== areaId; });
+                if (record.areas.length === 0) {
+                    tileStore.delete(key);
+                } else {
+                    tileStore.put(record);
+                }
+            };
+        });
+        tx.objectStore(AREA_STORE).delete(areaId);
+        tx.oncomplete = function() { resolve(); };
+        tx.onerror = function() { reject(tx.error); };
+    });
+
+    return true;
+}
+
+// Function to report how much space the offline tiles use
+// Returns { tileCount, cachedBytes, usageBytes, quotaBytes } (usage/quota are for the whole site, when available)
+export async function getOfflineStorageUsage() {
+    var result = { tileCount: 0, cachedBytes: 0, usageBytes: null, quotaBytes: null };
+
+    try {
+        var db = await openTileDb();
+        await new Promise(function(resolve, reject) {
+            var request = db.transaction(TILE_STORE, 'readonly').objectStore(TILE_STORE).openCursor();
+            request.onsuccess = function() {
+                var cursor = request.result;
+                if (cursor) {
+                    result.tileCount++;
+                    result.cachedBytes += cursor.value.size || 0;
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            request.onerror = function() { reject(request.error); };
+        });
+    } catch (error) {
+        console.warn('Could not read offline tile cache:', error);
+    }
+
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            var estimate = await navigator.storage.estimate();
+            result.usageBytes = estimate.usage;
+            result.quotaBytes = estimate.quota;
+        } catch (e) { /* ignore */ }
+    }
+
+    return result;
+}
+
+// Function to get the current map bounds in the shape used by offline areas
+export function getMapBounds(map) {
+    if (!map) return null;
+    var bounds = map.getBounds();
+    return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+}
+
+// ---------------------------------------------------------------------------
+// Entity styles
+// One registry describing how vaults, midpoints and cables are drawn. Each type has a
+// shape and size (cables: line weight), and each color name it uses - the status color
+// stored on vaults and midpoints, the jacket color of cables - maps to a fill, label and
+// status. initMap's styles option overrides any part of it (see configureEntityStyles).
+// Each map keeps its own copy of the registry, theme and icon cache (map._entityStyles,
+// map._themeId, map._iconCache), so maps on one page never restyle each other.
+// Marker icons are built from the registry once per color and selection state and cached;
+// each icon carries the style it shows in options.entity, so nothing is read back out of its HTML.
+// ---------------------------------------------------------------------------
+
+// Vault and midpoint colors stand for statuses (see GetStatusColor and GetMidpointStatusColor in Home.razor);
+// cable colors are the fiber jacket colors picked in the cable form. fill is the color drawn (for cables,
+// the line color); the type-level fill is used for colors that aren't listed.
+var DEFAULT_ENTITY_STYLES = {
+    // Vaults: triangles pointing down, slightly larger than midpoints
+    vault: {
+        title: 'Vaults',
+        shape: 'triangle',
+        size: 24,
+        fill: '#0066CC',
+        stroke: 'white',
+        strokeWidth: 2,
+        className: 'custom-colored-marker', // No default Leaflet marker styles
+        colors: [
+            { color: 'Blue', fill: '#0066CC', label: 'New', status: 'New' },
+            { color: 'Brown', fill: '#8B4513', label: 'Pending', status: 'Pending' },
+            { color: 'Gray', fill: '#808080', label: 'Review', status: 'Review' },
+            { color: 'Green', fill: '#28A745', label: 'Complete', status: 'Complete' },
+            { color: 'Red', fill: '#DC3545', label: 'Issue', status: 'Issue' }
+        ]
+    },
+    // Midpoints: diamonds, to tell them apart from vault triangles
+    midpoint: {
+        title: 'Midpoints',
+        shape: 'diamond',
+        size: 20,
+        fill: '#000000',
+        stroke: 'white',
+        strokeWidth: 2,
+        className: 'custom-colored-midpoint-marker',
+        colors: [
+            { color: 'Black', fill: '#000000', label: 'New', status: 'New' },
+            { color: 'LightGray', fill: '#D3D3D3', label: 'Review', status: 'Review' },
+            { color: 'LightGreen', fill: '#90EE90', label: 'Complete', status: 'Complete' },
+            { color: 'LightCoral', fill: '#F08080', label: 'Issue', status: 'Issue' }
+        ]
+    },
+    cable: {
+        title: 'Cables',
+        weight: 4,
+        opacity: 0.8,
+        fill: '#000000',
+        colors: [
+            { color: 'Black', fill: '#000000', label: 'Black' },
+            { color: 'Blue', fill: '#0066CC', label: 'Blue' },
+            { color: 'Orange', fill: '#FF6600', label: 'Orange' },
+            { color: 'Green', fill: '#28A745', label: 'Green' },
+            { color: 'Brown', fill: '#8B4513', label: 'Brown' },
+            { color: 'Pink', fill: '#FF69B4', label: 'Pink' },
+            { color: 'Teal', fill: '#008080', label: 'Teal' }
+        ]
+    },
+    // Highlight for selected entities: outline color and width, plus a glow on canvas shapes
+    // (selected cables are drawn in the outline color, slightly thicker)
+    selection: {
+        stroke: '#FFD700',
+        strokeWidth: 3,
+        glow: 8
+    }
+};
+
+// Shape outlines as [x, y] pixel offsets from the entity's location, for an icon of the given size
+var ENTITY_SHAPES = {
+    // Triangle pointing down with its point on the location
+    triangle: function(size) {
+        var halfWidth = size * 10 / 24;
+        var height = size * 20 / 24;
+        return [[0, 0], [-halfWidth, -height], [halfWidth, -height]];
+    },
+    // Square rotated 45 degrees, centered on the location
+    diamond: function(size) {
+        var radius = size * 7.07 / 20;
+        return [[0, -radius], [radius, 0], [0, radius], [-radius, 0]];
+    },
+    // Upright square, centered on the location
+    square: function(size) {
+        var half = size * 0.3;
+        return [[-half, -half], [half, -half], [half, half], [-half, half]];
+    },
+    // Circle (drawn as a 24-sided polygon), centered on the location
+    circle: function(size) {
+        var radius = size * 0.35;
+        var points = [];
+        for (var i = 0; i < 24; i++) {
+            var angle = i / 24 * 2 * Math.PI;
+            points.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+        }
+        return points;
+    }
+};
+
+var BADGE_RADIUS = 6; // Radius in pixels of the photo and issue badges on point asset icons
+
+// Function to set a map's styles option (from initMap) and rebuild its registry with the standard theme
+// overrides: { vault: { shape, size, fill, stroke, strokeWidth, title, colors: [{ color, fill, stroke, label, status, glyph }] },
+//              midpoint: { ... }, cable: { weight, opacity, fill, dashArray, colors }, selection: { stroke, strokeWidth, glow } }
+// Colors are matched by name: listed ones are changed field by field, new ones are added. Null values are ignored.
+function configureEntityStyles(map, overrides) {
+    map._entityStyleOverrides = overrides || null;
+    map._themeId = 'standard';
+    rebuildEntityStyles(map);
+}
+
+// Function to rebuild a map's registry: defaults and registered point asset types, then initMap's overrides,
+// then the map's theme. Cached icons are dropped so markers pick up the new styles
+function rebuildEntityStyles(map) {
+    map._entityStyles = JSON.parse(JSON.stringify(DEFAULT_ENTITY_STYLES));
+    Object.keys(registeredEntityStyles).forEach(function(type) {
+        map._entityStyles[type] = JSON.parse(JSON.stringify(registeredEntityStyles[type]));
+    });
+    map._iconCache = {};
+    mergeEntityStyles(map._entityStyles, map._entityStyleOverrides);
+    mergeEntityStyles(map._entityStyles, getMapTheme(map._themeId).styles);
+}
+
+// Function to get the registry a map draws with (the defaults for a layer that isn't on a map yet)
+function getEntityStyles(map) {
+    return (map && map._entityStyles) || DEFAULT_ENTITY_STYLES;
+}
+
+// Function to merge style overrides (same shape as configureEntityStyles' overrides) into a set of styles
+function mergeEntityStyles(styles, overrides) {
+    if (!overrides) return;
+
+    var copyValues = function(target, source) {
+        Object.keys(source).forEach(function(key) {
+            if (key !== 'colors' && source[key] != null) {
+                target[key] = source[key];
+            }
+        });
+    };
+
+    Object.keys(overrides).forEach(function(entityType) {
+        var override = overrides[entityType];
+        if (!override) return;
+
+        var style = styles[entityType] = styles[entityType] || { colors: [] };
+        copyValues(style, override);
+
+        (override.colors || []).forEach(function(colorOverride) {
+            if (!colorOverride || !colorOverride.color) return;
+
+            var entry = findStyleColor(style, colorOverride.color);
+            if (!entry) {
+                entry = { color: colorOverride.color, label: colorOverride.color };
+                style.colors = style.colors || [];
+                style.colors.push(entry);
+            }
+            copyValues(entry, colorOverride);
+        });
+    });
+}
+
+// Function to find a type's entry for a color name, or for a status when no color matches
+function findStyleColor(style, color, status) {
+    var colors = style.colors || [];
+    for (var i = 0; i < colors.length; i++) {
+        if (colors[i].color === color) return colors[i];
+    }
+    for (var j = 0; status && j < colors.length; j++) {
+        if (colors[j].status === status) return colors[j];
+    }
+    return null;
+}
+
+// Function to get the color name for an entity from its color or, failing that, its status (e.g. 'Issue' -> 'Red')
+function resolveEntityColor(map, entityType, color, status) {
+    var styles = getEntityStyles(map);
+    if (color || !status || !styles[entityType]) return color;
+
+    var entry = findStyleColor(styles[entityType], null, status);
+    return entry ? entry.color : color;
+}
+
+// Function to look up how an entity is drawn on a map
+// Returns { type, color, shape, size, fill, stroke, strokeWidth, weight, opacity, dashArray, className, label, status,
+// glyph, glyphColor, selected, glow, badges }; a color that isn't in the registry is used as the fill as is (it may already be a hex code)
+// badges (optional, point assets only): { photoCount, issue } - see getEntityBadges
+function getEntityStyle(map, entityType, color, isSelected, badges) {
+    var styles = getEntityStyles(map);
+    var style = styles[entityType] || styles.vault;
+    var entry = findStyleColor(style, color);
+    var selection = styles.selection;
+
+    var fill = (entry && entry.fill) || color || style.fill;
+
+    return {
+        type: entityType,
+        color: color,
+        shape: style.shape,
+        size: style.size,
+        fill: fill,
+        stroke: isSelected ? selection.stroke : (entry && entry.stroke) || style.stroke,
+        strokeWidth: isSelected ? selection.strokeWidth : style.strokeWidth,
+        weight: style.weight,
+        opacity: style.opacity,
+        dashArray: (entry && entry.dashArray) || style.dashArray || null,
+        className: style.className,
+        label: entry ? entry.label : color,
+        status: entry ? entry.status : null,
+        glyph: (entry && entry.glyph) || null, // Status cue drawn inside the shape (see MAP_THEMES)
+        glyphColor: (entry && entry.glyphColor) || getContrastColor(fill),
+        selected: !!isSelected,
+        glow: selection.glow, // Canvas shapes only (see CanvasShapeMarker)
+        badges: getEntityBadges(badges)
+    };
+}
+
+// Function to get a shape's outline points for an icon size
+function getShapePoints(shape, size) {
+    return (ENTITY_SHAPES[shape] || ENTITY_SHAPES.triangle)(size);
+}
+
+// Function to get where the entity's location falls inside a size x size icon box (the shape is centered in the box)
+function getShapeAnchor(shape, size) {
+    var points = getShapePoints(shape, size);
+    var xs = points.map(function(point) { return point[0]; });
+    var ys = points.map(function(point) { return point[1]; });
+    return [
+        size / 2 - (Math.min.apply(null, xs) + Math.max.apply(null, xs)) / 2,
+        size / 2 - (Math.min.apply(null, ys) + Math.max.apply(null, ys)) / 2
+    ];
+}
+
+// Function to get the visual center of a shape (the average of its points), relative to the entity's location
+function getShapeCenter(shape, size) {
+    var points = getShapePoints(shape, size);
+    return [
+        points.reduce(function(sum, point) { return sum + point[0]; }, 0) / points.length,
+        points.reduce(function(sum, point) { return sum + point[1]; }, 0) / points.length
+    ];
+}
+
+// Function to pick black or white text for a fill color (white for colors that aren't #RGB/#RRGGBB)
+function getContrastColor(fill) {
+    var hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(fill || '') ? fill.slice(1) : null;
+    if (!hex) return '#FFFFFF';
+    if (hex.length === 3) {
+        hex = hex.split('').map(function(digit) { return digit + digit; }).join('');
+    }
+
+    var red = parseInt(hex.slice(0, 2), 16);
+    var green = parseInt(hex.slice(2, 4), 16);
+    var blue = parseInt(hex.slice(4, 6), 16);
+    return (0.299 * red + 0.587 * green + 0.114 * blue) / 255 > 0.6 ? '#000000' : '#FFFFFF';
+}
+
+// Function to build the SVG markup for a shape in a size x size box, with an optional status glyph inside
+function getShapeSvg(shape, size, fill, stroke, strokeWidth, glyph, glyphColor) {
+    var anchor = getShapeAnchor(shape, size);
+    var path = 'M ' + getShapePoints(shape, size).map(function(point) {
+        return +(point[0] + anchor[0]).toFixed(2) + ' ' + +(point[1] + anchor[1]).toFixed(2);
+    }).join(' L ') + ' Z';
+
+    var text = '';
+    if (glyph) {
+        var center = getShapeCenter(shape, size);
+        text = '<text x="' + +(center[0] + anchor[0]).toFixed(2) + '" y="' + +(center[1] + anchor[1]).toFixed(2) + '" ' +
+            'text-anchor="middle" dominant-baseline="central" font-family="sans-serif" font-weight="bold" ' +
+            'font-size="' + Math.round(size * 0.5) + '" fill="' + (glyphColor || getContrastColor(fill)) + '">' + escapeHtml(glyph) + '</text>';
+    }
+
+    return '<svg width="' + size + '" height="' + size + '" viewBox="0 0 ' + size + ' ' + size + '" xmlns="http://www.w3.org/2000/svg">' +
+        '<path d="' + path + '" fill="' + fill + '" stroke="' + stroke + '" stroke-width="' + strokeWidth + '"/>' +
+        text + '</svg>';
+}
+
+// Function to draw a status glyph centered in a shape at a pixel position (canvas renderer and map export)
+function drawShapeGlyph(ctx, shape, size, x, y, glyph, glyphColor) {
+    var center = getShapeCenter(shape, size);
+    ctx.save();
+    ctx.fillStyle = glyphColor;
+    ctx.font = 'bold ' + Math.round(size * 0.5) + 'px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(glyph, x + center[0], y + center[1]);
+    ctx.restore();
+}
+
+// Function to clean up badge data: { photoCount, issue } -> null when there is nothing to show
+// photoCount null/undefined means unknown (no badge), 0 shows the "no photos" mark; issue adds the flag
+function getEntityBadges(badges) {
+    if (!badges) return null;
+
+    var photoCount = badges.photoCount != null && isFinite(badges.photoCount) ? Math.max(0, Math.floor(badges.photoCount)) : null;
+    var issue = !!badges.issue;
+    return photoCount == null && !issue ? null : { photoCount: photoCount, issue: issue };
+}
+
+// Function to get the cache key part for a set of badges (see getEntityIcon)
+function getBadgesKey(badges) {
+    return badges ? (badges.photoCount == null ? '' : badges.photoCount) + (badges.issue ? '!' : '') : '';
+}
+
+// Function to list the badges of a style as small circles centered on the icon box's top corners
+// Photo count (or the "no photos" mark) goes top right, the issue flag top left
+// Returns [{ x, y, fill, stroke, text, textColor, slash }] in icon box pixels
+function getBadgeMarks(style) {
+    var badges = style.badges;
+    if (!badges) return [];
+
+    var marks = [];
+    if (badges.photoCount > 0) {
+        marks.push({ x: style.size - 2, y: 2, fill: '#333333', stroke: '#FFFFFF', text: badges.photoCount > 9 ? '9+' : String(badges.photoCount), textColor: '#FFFFFF' });
+    } else if (badges.photoCount === 0) {
+        marks.push({ x: style.size - 2, y: 2, fill: '#FFFFFF', stroke: '#DC3545', slash: true });
+    }
+    if (badges.issue) {
+        marks.push({ x: 2, y: 2, fill: '#FFC107', stroke: '#000000', text: '!', textColor: '#000000' });
+    }
+    return marks;
+}
+
+// Function to build the SVG markup for a style's badges (empty if it has none)
+function getBadgeSvg(style) {
+    return getBadgeMarks(style).map(function(mark) {
+        var svg = '<circle cx="' + mark.x + '" cy="' + mark.y + '" r="' + BADGE_RADIUS + '" fill="' + mark.fill + '" stroke="' + mark.stroke + '" stroke-width="1.5"/>';
+        if (mark.slash) {
+            var offset = +(BADGE_RADIUS * 0.7).toFixed(2);
+            svg += '<line x1="' + (mark.x - offset) + '" y1="' + (mark.y + offset) + '" x2="' + (mark.x + offset) + '" y2="' + (mark.y - offset) + '" stroke="' + mark.stroke + '" stroke-width="1.5"/>';
+        }
+        if (mark.text) {
+            svg += '<text x="' + mark.x + '" y="' + mark.y + '" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" ' +
+                'font-weight="bold" font-size="' + (mark.text.length > 1 ? 7 : 8) + '" fill="' + mark.textColor + '">' + escapeHtml(mark.text) + '</text>';
+        }
+        return svg;
+    }).join('');
+}
+
+// Function to draw a style's badges for a shape at a pixel position (canvas renderer and map export)
+function drawShapeBadges(ctx, style, x, y) {
+    var anchor = getShapeAnchor(style.shape, style.size);
+    var left = x - anchor[0];
+    var top = y - anchor[1];
+
+    getBadgeMarks(style).forEach(function(mark) {
+        var centerX = left + mark.x;
+        var centerY = top + mark.y;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, BADGE_RADIUS, 0, Math.PI * 2);
+        ctx.fillStyle = mark.fill;
+        ctx.fill();
+        ctx.strokeStyle = mark.stroke;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        if (mark.slash) {
+            var offset = BADGE_RADIUS * 0.7;
+            ctx.beginPath();
+            ctx.moveTo(centerX - offset, centerY + offset);
+            ctx.lineTo(centerX + offset, centerY - offset);
+            ctx.stroke();
+        }
+        if (mark.text) {
+            ctx.fillStyle = mark.textColor;
+            ctx.font = 'bold ' + (mark.text.length > 1 ? 7 : 8) + 'px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(mark.text, centerX, centerY);
+        }
+        ctx.restore();
+    });
+}
+
+// Function to build the SVG for a point asset icon: its shape, status glyph and any badges
+// Badges sit on the icon box's corners and are allowed to overflow it
+function getEntityIconSvg(style) {
+    var svg = getShapeSvg(style.shape, style.size, style.fill, style.stroke, style.strokeWidth, style.glyph, style.glyphColor);
+    var badges = getBadgeSvg(style);
+    return badges ? svg.replace('<svg ', '<svg overflow="visible" ').replace('</svg>', badges + '</svg>') : svg;
+}
+
+// Function to trace a shape's outline as a canvas path around a pixel position (caller fills/strokes it)
+function traceShapePath(ctx, shape, size, x, y) {
+    ctx.beginPath();
+    getShapePoints(shape, size).forEach(function(point, index) {
+        if (index === 0) {
+            ctx.moveTo(x + point[0], y + point[1]);
+        } else {
+            ctx.lineTo(x + point[0], y + point[1]);
+        }
+    });
+    ctx.closePath();
+}
+
+// Function to get the (cached) marker icon for a vault or midpoint color, selection state and badges on a map
+// The icon's options.entity holds the style it was built from (see getEntityStyle)
+function getEntityIcon(map, entityType, color, isSelected, badges) {
+    badges = getEntityBadges(badges);
+    var key = entityType + ':' + color + ':' + !!isSelected + ':' + getBadgesKey(badges);
+    var cache = (map && map._iconCache) || {}; // Not cached for a layer that isn't on a map yet
+    if (!cache[key]) {
+        var style = getEntityStyle(map, entityType, color, isSelected, badges);
+        var assetType = pointAssetTypes[entityType];
+        var icon = assetType && assetType.icon ? assetType.icon(style) : L.divIcon({
+            html: getEntityIconSvg(style),
+            className: style.className,
+            iconSize: [style.size, style.size],
+            iconAnchor: getShapeAnchor(style.shape, style.size), // The shape's point (vaults) or center (midpoints)
+            popupAnchor: [0, -style.size / 2] // Position popup above the marker
+        });
+        icon.options.entity = style; // What the icon shows (see getLayerEntityStyle)
+        cache[key] = icon;
+    }
+    return cache[key];
+}
+
+// Function to get the style a vault or midpoint layer is currently drawn with (null for other layers)
+function getLayerEntityStyle(layer) {
+    if (isCanvasShape(layer)) return layer.options.entity;
+    return (layer.options.icon && layer.options.icon.options.entity) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Map themes
+// Alternate styles for technicians who can't tell the standard status colors apart.
+// A theme is applied to one map's style registry on top of initMap's styles, so it restyles
+// that map's markers, cables, clusters and legend together, and adds glyphs for key statuses
+// (! for Issue, a check mark for Complete) so status never relies on color alone.
+// The choice is remembered per user in local storage (see loadMapTheme).
+// ---------------------------------------------------------------------------
+
+var MAP_THEME_STORAGE_KEY = 'foms-map-theme';
+
+var MAP_THEMES = [
+    { id: 'standard', name: 'Standard', styles: null },
+    {
+        // Okabe-Ito colors, which stay distinct with red-green color blindness; similar cable jackets get dash patterns
+        id: 'colorblind',
+        name: 'Colorblind-safe',
+        styles: {
+            vault: {
+                colors: [
+                    { color: 'Blue', fill: '#0072B2' },
+                    { color: 'Brown', fill: '#E69F00' },
+                    { color: 'Gray', fill: '#999999' },
+                    { color: 'Green', fill: '#009E73', glyph: '✓' },
+                    { color: 'Red', fill: '#D55E00', glyph: '!' }
+                ]
+            },
+            midpoint: {
+                colors: [
+                    { color: 'LightGray', fill: '#CCCCCC' },
+                    { color: 'LightGreen', fill: '#56B4E9', glyph: '✓' },
+                    { color: 'LightCoral', fill: '#CC79A7', glyph: '!' }
+                ]
+            },
+            cable: {
+                colors: [
+                    { color: 'Green', dashArray: '10 6' },
+                    { color: 'Brown', dashArray: '2 6' },
+                    { color: 'Pink', dashArray: '12 4 2 4' }
+                ]
+            }
+        }
+    },
+    {
+        // Saturated fills with black outlines, larger markers and heavier cables for bright sunlight
+        id: 'high-contrast',
+        name: 'High contrast',
+        styles: {
+            vault: {
+                size: 28,
+                stroke: '#000000',
+                colors: [
+                    { color: 'Blue', fill: '#0000CC' },
+                    { color: 'Brown', fill: '#7A3300' },
+                    { color: 'Gray', fill: '#4D4D4D' },
+                    { color: 'Green', fill: '#007A00', glyph: '✓' },
+                    { color: 'Red', fill: '#CC0000', glyph: '!' }
+                ]
+            },
+            midpoint: {
+                size: 24,
+                stroke: '#000000',
+                colors: [
+                    { color: 'LightGray', fill: '#FFFFFF' },
+                    { color: 'LightGreen', fill: '#00CC00', glyph: '✓' },
+                    { color: 'LightCoral', fill: '#FF3333', glyph: '!' }
+                ]
+            },
+            cable: {
+                weight: 6,
+                opacity: 1
+            },
+            selection: {
+                stroke: '#FF00FF'
+            }
+        }
+    }
+];
+
+// Function to get a theme by id (the standard theme if the id is unknown)
+function getMapTheme(themeId) {
+    for (var i = 0; i < MAP_THEMES.length; i++) {
+        if (MAP_THEMES[i].id === themeId) return MAP_THEMES[i];
+    }
+    return MAP_THEMES[0];
+}
+
+// Function to get the storage key holding a user's theme (one per user on shared tablets)
+function getThemeStorageKey(userKey) {
+    return userKey ? MAP_THEME_STORAGE_KEY + ':' + String(userKey).toLowerCase() : MAP_THEME_STORAGE_KEY;
+}
+
+// Function to switch a map's style registry to a theme and restyle everything already drawn on it
+// Other maps on the page keep their own theme
+function applyMapTheme(map, themeId) {
+    map._themeId = getMapTheme(themeId).id;
+    rebuildEntityStyles(map);
+
+    // Includes layers hidden by the legend, so they come back in the new style
+    pointAssetTypeOrder.forEach(function(entityType) {
+        var registry = getEntityRegistry(map, entityType);
+        Object.keys(registry).forEach(function(id) {
+            var layer = registry[id];
+            setPointLayerStyle(map, layer, entityType, layer._entityColor, layer._isSelected);
+        });
+    });
+    var cables = getEntityRegistry(map, 'cable');
+    Object.keys(cables).forEach(function(id) {
+        applyCableStyle(map, cables[id]);
+    });
+
+    if (map._clusterGroup) {
+        map._clusterGroup.refreshClusters();
+    }
+    if (map._legendControl) {
+        map._legendControl.rebuild();
+    }
+    scheduleEntityLabelLayout(map); // Icon sizes may have changed
+}
+
+// Function to list the available themes for a theme picker: [{ id, name }]
+export function getMapThemes() {
+    return MAP_THEMES.map(function(theme) { return { id: theme.id, name: theme.name }; });
+}
+
+// Function to get the id of the theme a map is using
+export function getActiveMapTheme(map) {
+    return (map && map._themeId) || 'standard';
+}
+
+// Function to apply the theme a user picked last time
+// userKey: something that identifies the signed-in user (e.g. their email), or null for the device default
+// Later setMapTheme calls (including the legend's theme picker) save for the same user
+// Returns the id of the theme applied
+export function loadMapTheme(map, userKey) {
+    if (!map) return null;
+
+    map._themeUserKey = userKey || null;
+    var themeIds = MAP_THEMES.map(function(theme) { return theme.id; });
+    applyMapTheme(map, readPreference(getThemeStorageKey(map._themeUserKey), themeIds, 'standard'));
+    return map._themeId;
+}
+
+// Function to switch themes ('standard', 'colorblind' or 'high-contrast') and remember the choice for the user
+// Returns true if the theme exists
+export function setMapTheme(map, themeId) {
+    if (!map || getMapTheme(themeId).id !== themeId) return false;
+
+    applyMapTheme(map, themeId);
+    writePreference(getThemeStorageKey(map._themeUserKey), themeId);
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Marker clustering
+// Vault and midpoint markers go into a Leaflet.markercluster group (loaded in index.html)
+// so large projects stay fast at low zoom. Cluster icons show how many markers of each
+// status color they hold and expand on click. Above clusterDisableAtZoom every marker
+// is shown on its own, so street-level editing works exactly as without clustering.
+// ---------------------------------------------------------------------------
+
+// Function to create the marker cluster group for a map (null if the plugin isn't loaded)
+function createClusterGroup(map, options) {
+    if (typeof L.markerClusterGroup !== 'function') {
+        console.warn('Leaflet.markercluster is not loaded - markers will not be clustered');
+        return null;
+    }
+
+    return L.markerClusterGroup({
+        iconCreateFunction: function(cluster) { return createClusterIcon(map, cluster); },
+        disableClusteringAtZoom: options.clusterDisableAtZoom || 18,
+        maxClusterRadius: options.clusterRadius || 60,
+        showCoverageOnHover: false,
+        spiderfyOnMaxZoom: true,
+        zoomToBoundsOnClick: true // Expand the cluster on click
+    });
+}
+
+// Function to build a cluster icon: total count in a ring split by status color,
+// with a small count chip for each color underneath
+function createClusterIcon(map, cluster) {
+    var children = cluster.getAllChildMarkers();
+    var counts = {};
+    var order = [];
+    var hasSelected = false;
+
+    children.forEach(function(marker) {
+        var hex = getEntityStyle(map, marker._entityType, marker._entityColor).fill;
+        if (!counts[hex]) {
+            counts[hex] = 0;
+            order.push(hex);
+        }
+        counts[hex]++;
+        hasSelected = hasSelected || !!marker._isSelected;
+    });
+
+    // Ring segments proportional to each color's share of the cluster
+    var total = children.length;
+    var angle = 0;
+    var segments = order.map(function(hex) {
+        var start = angle;
+        angle += counts[hex] / total * 360;
+        return hex + ' ' + start.toFixed(1) + 'deg ' + angle.toFixed(1) + 'deg';
+    });
+
+    var chips = order.map(function(hex) {
+        return '<span class="marker-cluster-chip" style="background-color: ' + hex + ';">' + counts[hex] + '</span>';
+    }).join('');
+
+    var title = order.map(function(hex) { return counts[hex] + ' ' + getColorLabel(map, hex); }).join(', ');
+
+    return L.divIcon({
+        html: '<div class="marker-cluster-ring" style="background: conic-gradient(' + segments.join(', ') + ');" title="' + escapeHtml(title) + '">' +
+            '<span class="marker-cluster-count">' + total + '</span></div>' +
+            '<div class="marker-cluster-chips">' + chips + '</div>',
+        className: 'foms-marker-cluster' + (hasSelected ? ' foms-marker-cluster-selected' : ''),
+        iconSize: [40, 40],
+        iconAnchor: [20, 20]
+    });
+}
+
+// Function to describe a status color for cluster tooltips (e.g. "Vault New")
+function getColorLabel(map, hex) {
+    var styles = getEntityStyles(map);
+    var labels = [];
+    pointAssetTypeOrder.forEach(function(entityType) {
+        ((styles[entityType] || {}).colors || []).forEach(function(entry) {
+            if (entry.fill === hex) labels.push(pointAssetTypes[entityType].name + ' ' + entry.label);
+        });
+    });
+    return labels.length > 0 ? labels.join('/') : hex;
+}
+
+// Function to add a vault, midpoint or cable layer registered with registerEntityLayer
+// The layer is kept in the entity registry (see getEntityLayer); vaults and midpoints go through the cluster group when clustering is on; layers whose
+// legend category is hidden are kept aside until the category is shown again
+function addEntityLayer(map, layer) {
+    layer._entityMap = map; // Restyling finds the map's registry through this, even while the layer is hidden
+
+    // Register by type and id, replacing any layer left over for the same entity
+    if (layer._entityId != null) {
+        var registry = getEntityRegistry(map, layer._entityType);
+        var existing = registry[layer._entityId];
+        if (existing && existing !== layer) {
+            removeEntity(map, layer._entityType, layer._entityId);
+        }
+        registry[layer._entityId] = layer;
+
+        // Keep the spatial index and labels current when a vault or midpoint moves (dragged or synced)
+        indexEntityLayer(map, layer);
+        layer.on('move', function() {
+            indexEntityLayer(map, layer);
+            scheduleEntityLabelLayout(map);
+        });
+        bindEntityPreview(map, layer);
+        bindEntityContextMenu(map, layer);
+        scheduleEntityListUpdate(map);
+    }
+
+    if (map._clusterGroup && pointAssetTypes[layer._entityType]) {
+        layer._clusterGroup = map._clusterGroup;
+    }
+
+    if (map._hiddenCategories && map._hiddenCategories[getCategoryKey(layer._entityType, layer._entityColor)]) {
+        map._legendHiddenLayers.push(layer);
+    } else if (layer._clusterGroup && map._pendingClusterLayers) {
+        // renderEntities adds these to the cluster group all at once
+        map._pendingClusterLayers.push(layer);
+    } else {
+        getLayerContainer(map, layer).addLayer(layer);
+    }
+    return layer;
+}
+
+// Function to get what a layer was added to: its cluster group, or the map itself
+function getLayerContainer(map, layer) {
+    return layer._clusterGroup || map;
+}
+
+// Function to call back for every vault, midpoint and cable layer, including markers hidden inside clusters
+function forEachEntityLayer(map, callback) {
+    var layers = [];
+    map.eachLayer(function(layer) {
+        if (layer._entityType && !layer._clusterGroup) layers.push(layer);
+    });
+    if (map._clusterGroup) {
+        map._clusterGroup.eachLayer(function(layer) { layers.push(layer); });
+    }
+    layers.forEach(callback);
+}
+
+// Function to redraw the cluster holding a marker after its icon changed (e.g. selection)
+function refreshMarkerCluster(layer) {
+    if (layer._clusterGroup && layer._clusterGroup.hasLayer(layer)) {
+        layer._clusterGroup.refreshClusters(layer);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Canvas rendering
+// With initMap's renderer: 'canvas', vaults and midpoints are drawn as shapes on one shared
+// canvas (CanvasShapeMarker) and cables use the same canvas instead of one SVG element each,
+// which keeps panning and zooming smooth on low-end tablets.
+// ---------------------------------------------------------------------------
+
+var CANVAS_DRAG_THRESHOLD = 4; // Pixels the pointer must move before a press becomes a drag
+
+// A vault or midpoint drawn on the canvas renderer, using the same style registry as the SVG icons
+// (options.entity, see getEntityStyle). Fires dragstart/drag/dragend like a draggable L.Marker
+// (see initCanvasShapeDragging), so addPointAsset and the cluster group treat both the same way
+var CanvasShapeMarker = L.CircleMarker.extend({
+    options: {
+        entity: null
+    },
+
+    // Function to redraw the shape with a new style (color and/or selection)
+    setEntityStyle: function(style) {
+        this.options.entity = style;
+        if (this._map) {
+            this._project(); // The shape's size may have changed
+        }
+        return this.redraw();
+    },
+
+    // Function to draw the shape at a pixel position (also used by the map export)
+    // Selected shapes get the selection outline and a glow, like the SVG icons
+    drawShape: function(ctx, point) {
+        var style = this.options.entity;
+
+        ctx.save();
+        traceShapePath(ctx, style.shape, style.size, point.x, point.y);
+        if (style.selected) {
+            ctx.shadowColor = style.stroke;
+            ctx.shadowBlur = style.glow;
+        }
+        ctx.fillStyle = style.fill;
+        ctx.fill();
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = style.stroke;
+        ctx.lineWidth = style.strokeWidth;
+        ctx.stroke();
+        ctx.restore();
+
+        if (style.glyph) {
+            drawShapeGlyph(ctx, style.shape, style.size, point.x, point.y, style.glyph, style.glyphColor);
+        }
+        drawShapeBadges(ctx, style, point.x, point.y);
+    },
+
+    // Leaflet hooks: draw the shape instead of a circle and size the redraw/hit area to it
+    _updatePath: function() {
+        var renderer = this._renderer;
+        if (!renderer._drawing || this._empty()) return;
+        this.drawShape(renderer._ctx, this._point);
+    },
+
+    _updateBounds: function() {
+        var style = this.options.entity;
+        var points = getShapePoints(style.shape, style.size);
+        // Room for the selection glow and badges overflowing the icon box
+        var margin = Math.max(style.glow || 0, style.badges ? BADGE_RADIUS + 2 : 0) + this._clickTolerance();
+        var xs = points.map(function(offset) { return offset[0]; });
+        var ys = points.map(function(offset) { return offset[1]; });
+
+        this._pxBounds = new L.Bounds(
+            this._point.add([Math.min.apply(null, xs) - margin, Math.min.apply(null, ys) - margin]),
+            this._point.add([Math.max.apply(null, xs) + margin, Math.max.apply(null, ys) + margin]));
+    },
+
+    _containsPoint: function(point) {
+        return this._pxBounds.contains(point);
+    },
+
+    _getPopupAnchor: function() {
+        return [0, -this.options.entity.size / 2];
+    }
+});
+
+// Function to check whether a vault or midpoint layer is drawn on the canvas
+function isCanvasShape(layer) {
+    return layer instanceof CanvasShapeMarker;
+}
+
+// Function to create a vault or midpoint layer: a canvas shape in canvas mode, otherwise a draggable SVG icon marker
+function createPointLayer(map, entityType, lat, lng, color, isSelected) {
+    var assetType = pointAssetTypes[entityType];
+    if (map._canvasRenderer && !assetType.icon) {
+        return new CanvasShapeMarker([lat, lng], {
+            renderer: map._canvasRenderer,
+            entity: getEntityStyle(map, entityType, color, isSelected)
+        });
+    }
+    // Icons stay out of the tab order: the entity list is the keyboard path (see Keyboard and screen reader access)
+    return L.marker([lat, lng], { icon: getEntityIcon(map, entityType, color, isSelected), draggable: assetType.draggable, keyboard: false });
+}
+
+// Function to restyle a vault or midpoint layer on a map for a new color and/or selection state
+// The layer keeps its badges (see setMarkerBadges)
+function setPointLayerStyle(map, layer, entityType, color, isSelected) {
+    if (isCanvasShape(layer)) {
+        layer.setEntityStyle(getEntityStyle(map, entityType, color, isSelected, layer._entityBadges));
+    } else {
+        layer.setIcon(getEntityIcon(map, entityType, color, isSelected, layer._entityBadges));
+    }
+    scheduleEntityListUpdate(map);
+}
+
+// Function to find the canvas vault or midpoint under a layer point (the last one drawn wins)
+function findCanvasShapeAt(map, layerPoint) {
+    var found = null;
+    pointAssetTypeOrder.forEach(function(entityType) {
+        var registry = getEntityRegistry(map, entityType);
+        Object.keys(registry).forEach(function(id) {
+            var layer = registry[id];
+            if (isCanvasShape(layer) && layer._map && layer._pxBounds && layer._containsPoint(layerPoint)) {
+                found = layer;
+            }
+        });
+    });
+    return found;
+}
+
+// Function to let canvas vaults and midpoints be dragged with a mouse, pen or finger
+// Canvas layers have no DOM element to drag, so pointer events on the map container are used;
+// the press is taken before Leaflet sees it so the map doesn't pan, and a press that doesn't
+// move past CANVAS_DRAG_THRESHOLD still ends as a normal click (popup, select or delete)
+function initCanvasShapeDragging(map) {
+    var container = map.getContainer();
+    var drag = null;
+
+    container.addEventListener('pointerdown', function(e) {
+        if (isMapMode(map, 'delete') || drag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+        var layer = findCanvasShapeAt(map, map.mouseEventToLayerPoint(e));
+        if (!layer || !pointAssetTypes[layer._entityType].draggable) return;
+
+        drag = { layer: layer, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, moved: false };
+        map.dragging.disable(); // Keep the map from panning while the shape is held
+        if (container.setPointerCapture) {
+            container.setPointerCapture(e.pointerId);
+        }
+    }, true);
+
+    container.addEventListener('pointermove', function(e) {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        if (!drag.moved) {
+            var distance = Math.sqrt(Math.pow(e.clientX - drag.startX, 2) + Math.pow(e.clientY - drag.startY, 2));
+            if (distance < CANVAS_DRAG_THRESHOLD) return;
+            drag.moved = true;
+            drag.layer.fire('dragstart');
+        }
+
+        drag.layer.setLatLng(map.mouseEventToLatLng(e));
+        drag.layer.fire('drag');
+    });
+
+    var endDrag = function(e) {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        var finished = drag;
+        drag = null;
+        map.dragging.enable();
+
+        if (finished.moved) {
+            // Swallow the click that follows the drag so it doesn't open the popup or select the marker
+            var suppressClick = function(clickEvent) {
+                clickEvent.stopPropagation();
+            };
+            container.addEventListener('click', suppressClick, true);
+            setTimeout(function() {
+                container.removeEventListener('click', suppressClick, true);
+            }, 0);
+
+            finished.layer.fire('dragend');
+        }
+    };
+
+    container.addEventListener('pointerup', endDrag);
+    container.addEventListener('pointercancel', endDrag);
+}
+
+// ---------------------------------------------------------------------------
+// Point asset types
+// Vaults and midpoints are two point asset types; splice closures, pedestals, handholes,
+// poles and the like are added with registerPointAssetType (or initMap's assetTypes option)
+// rather than another copy of addMarker. A type brings its style (shape, status colors,
+// legend title), an optional icon factory and popup builder, and the callbacks run for
+// clicks, drags and its popup's edit action. Register types before initMap so the legend lists them.
+// ---------------------------------------------------------------------------
+
+// .NET methods called when a type doesn't give its own callbacks (see Home.razor)
+var DEFAULT_POINT_ASSET_CALLBACKS = { click: 'OnEntityClick', dragEnd: 'OnMarkerDragEnd', edit: 'OpenEditModal' };
+
+// Registered types by name; vault and midpoint styles are in DEFAULT_ENTITY_STYLES, others in registeredEntityStyles
+var pointAssetTypes = {
+    vault: {
+        type: 'vault', name: 'Vault', batchKey: 'vaults', icon: null, popup: null,
+        callbacks: DEFAULT_POINT_ASSET_CALLBACKS, draggable: true
+    },
+    midpoint: {
+        type: 'midpoint', name: 'Midpoint', batchKey: 'midpoints', icon: null, popup: null,
+        callbacks: DEFAULT_POINT_ASSET_CALLBACKS, draggable: true
+    }
+};
+var pointAssetTypeOrder = ['vault', 'midpoint']; // Legend and batch order
+
+// Styles given to registerPointAssetType, by type; maps created afterwards draw with them (see rebuildEntityStyles)
+var registeredEntityStyles = {};
+
+// Function to register a point asset type, or replace the one registered under the same name
+// definition: {
+//   name: singular name for cluster tooltips (e.g. 'Pedestal'),
+//   batchKey: key of the type's items in renderEntities/syncEntities batches (default type + 's'),
+//   style: { title, shape, size, fill, stroke, strokeWidth, className, colors: [{ color, fill, label, status, glyph }] }
+//          (see DEFAULT_ENTITY_STYLES; initMap's styles option and themes apply on top),
+//   icon: function(style) returning a new L.Icon, for types not drawn as a registry shape (always SVG, even in canvas mode),
+//   popup: function(item) returning popup data or HTML (see Entity popups) for batch items sent without a popup,
+//   callbacks: { click, dragEnd, edit }, each a .NET method name called with (type, id) - dragEnd adds (lat, lng) -
+//              or a function called with (layer, type, id[, lat, lng]); defaults: OnEntityClick, OnMarkerDragEnd, OpenEditModal
+//              (edit runs for the popup's data-action="edit" element, see addPopupActionListener)
+//   draggable: false to keep markers of this type in place (default true)
+// }
+// e.g. registerPointAssetType('pedestal', { name: 'Pedestal',
+//          style: { title: 'Pedestals', shape: 'square', colors: [{ color: 'Blue', fill: '#0066CC', label: 'New', status: 'New' }] } })
+// Returns true if the type was registered
+export function registerPointAssetType(type, definition) {
+    if (!type || type === 'cable') {
+        console.warn('Invalid point asset type:', type);
+        return false;
+    }
+
+    definition = definition || {};
+    var existing = pointAssetTypes[type] || {};
+    var callbacks = definition.callbacks || {};
+
+    pointAssetTypes[type] = {
+        type: type,
+        name: definition.name || existing.name || type,
+        batchKey: definition.batchKey || existing.batchKey || type + 's',
+        icon: typeof definition.icon === 'function' ? definition.icon : null,
+        popup: typeof definition.popup === 'function' ? definition.popup : null,
+        callbacks: {
+            click: callbacks.click || DEFAULT_POINT_ASSET_CALLBACKS.click,
+            dragEnd: callbacks.dragEnd || DEFAULT_POINT_ASSET_CALLBACKS.dragEnd,
+            edit: callbacks.edit || DEFAULT_POINT_ASSET_CALLBACKS.edit
+        },
+        draggable: definition.draggable !== false
+    };
+    if (pointAssetTypeOrder.indexOf(type) === -1) {
+        pointAssetTypeOrder.push(type);
+    }
+
+    // New types start from a plain gray square; vault and midpoint keep their built-in style unless one is given
+    var styles = {};
+    styles[type] = JSON.parse(JSON.stringify(registeredEntityStyles[type] || DEFAULT_ENTITY_STYLES[type] || {
+        title: pointAssetTypes[type].name + 's', shape: 'square', size: 20, fill: '#666666', stroke: 'white', strokeWidth: 2,
+        className: 'custom-colored-marker', colors: []
+    }));
+    var styleOverrides = {};
+    styleOverrides[type] = definition.style;
+    mergeEntityStyles(styles, styleOverrides);
+    registeredEntityStyles[type] = styles[type];
+    return true;
+}
+
+// Function to run one of a point asset type's callbacks: a .NET method name or a JS function
+function invokePointAssetCallback(layer, callback, dotNetReference, args) {
+    if (typeof callback === 'function') {
+        callback.apply(null, [layer].concat(args));
+    } else if (callback && dotNetReference) {
+        dotNetReference.invokeMethodAsync.apply(dotNetReference, [callback].concat(args));
+    }
+}
+
+// Function to add a point asset (a vault, midpoint or any registered type) to the map
+// label (optional) is the name shown beside it at high zoom (see Entity labels)
+// Returns the marker so it can be stored and deleted later
+export function addPointAsset(map, entityType, lat, lng, color, popupText, entityId, dotNetReference, isSelected, label) {
+    var assetType = pointAssetTypes[entityType];
+    if (!assetType) {
+        console.warn('Unknown point asset type:', entityType);
+        return null;
+    }
+
+    isSelected = isSelected || false;
+    // Create an icon (or canvas shape) in the registry style for this type and color (see getEntityStyle)
+    var marker = createPointLayer(map, entityType, lat, lng, color, isSelected);
+    if (popupText) {
+        setLayerPopup(marker, popupText);
+    }
+
+    // Remember what this marker represents (used by clustering, the legend and map export)
+    registerEntityLayer(marker, entityType, entityId, color);
+    marker._isSelected = isSelected;
+    addEntityLayer(map, marker);
+    setLayerLabel(map, marker, label);
+
+    // If entityId and dotNetReference are provided, add click handler for deletion and drag handler for moving
+    if (entityId && dotNetReference) {
+        // Override the default click behavior to handle delete and select modes
+        marker.off('click'); // Remove default click handler (which opens popup)
+        marker.on('click', function(e) {
+            if (isMapMode(map, 'delete') || isMapMode(map, 'select')) {
+                // Prevent the popup from opening and let the click callback delete or select the asset
+                L.DomEvent.stop(e); // Stop Leaflet event propagation
+                marker.closePopup(); // Close popup if it's already open
+                invokePointAssetCallback(marker, assetType.callbacks.click, dotNetReference, [entityType, entityId]);
+            } else {
+                // If not in delete or select mode, open the popup manually
+                marker.openPopup();
+            }
+        });
+
+        // Handle drag end event to update the location in the database
+        marker.on('dragend', function() {
+            var latLng = marker.getLatLng();
+            invokePointAssetCallback(marker, assetType.callbacks.dragEnd, dotNetReference, [entityType, entityId, latLng.lat, latLng.lng]);
+        });
+    }
+
+    return marker;
+}
+
+// Function to add a vault marker to the map with a custom color
+// Returns the marker so it can be stored and deleted later
+export function addMarker(map, lat, lng, popupText, entityId, dotNetReference, color, isSelected, label) {
+    return addPointAsset(map, 'vault', lat, lng, color, popupText, entityId, dotNetReference, isSelected, label);
+}
+
+// Function to add a midpoint marker
+// Returns the marker so it can be stored and deleted later
+// Colored by status like vaults, but drawn as a diamond
+export function addCircle(map, lat, lng, color, popupText, entityId, dotNetReference, isSelected, label) {
+    return addPointAsset(map, 'midpoint', lat, lng, color, popupText, entityId, dotNetReference, isSelected, label);
+}
+
+// Function to add a polyline to the map
+// With an entityId it is a cable like any other (registry, legend, entity list, context menu);
+// without one it is a plain line such as the preview drawn while a cable is being placed
+// Returns the polyline so it can be stored and deleted later
+export function addPolyline(map, coordinates, color, popupText, entityId, dotNetReference) {
+    var style = getEntityStyle(map, 'cable', color);
+    var polyline = L.polyline(coordinates, {
+        color: style.fill,
+        weight: style.weight,
+        opacity: style.opacity,
+        dashArray: style.dashArray,
+        renderer: map._canvasRenderer // Shared canvas in canvas mode (undefined uses the map's SVG renderer)
+    });
+
+    if (popupText) {
+        setLayerPopup(polyline, popupText);
+    }
+
+    if (entityId == null) {
+        return polyline.addTo(map);
+    }
+
+    registerEntityLayer(polyline, 'cable', entityId, color);
+    addEntityLayer(map, polyline);
+
+    // In delete and select modes a click picks the cable instead of opening its popup
+    if (dotNetReference) {
+        polyline.on('click', function(e) {
+            if (isMapMode(map, 'delete') || isMapMode(map, 'select')) {
+                L.DomEvent.stop(e);
+                polyline.closePopup();
+                dotNetReference.invokeMethodAsync('OnEntityClick', 'cable', entityId);
+            }
+        });
+    }
+    
+    return polyline;
+}
+
+// Function to add a click event listener to the map that calls back to C#
+// dotNetReference: The .NET object reference to invoke the OnMapClick method
+export function addClickEventListener(map, dotNetReference) {
+    map.on('click', function(e) {
+        // e.latlng contains the latitude and longitude of the click
+        // Call the C# method OnMapClick with the coordinates
+        dotNetReference.invokeMethodAsync('OnMapClick', e.latlng.lat, e.latlng.lng);
+    });
+}
+
+// Function to add a listener that sends popup actions to C#
+// dotNetReference: The .NET object reference to invoke the OnPopupAction method
+// Any element in a popup with a data-action attribute (edit, details, navigate, download-photos, change-status)
+// calls OnPopupAction(action, entityType, entityId, value) when clicked, or for menus when changed. The entity
+// comes from the nearest data-entity-type and data-entity-id attributes, or else from the layer the popup is
+// bound to; value is the element's data-value or the chosen option. A point asset's edit action runs its type's
+// edit callback instead (OpenEditModal unless registerPointAssetType gave another).
+// The one listener on the popup pane covers every popup, however often it opens or its content is replaced.
+export function addPopupActionListener(map, dotNetReference) {
+    var pane = map.getPane('popupPane');
+    var isFormField = function(element) {
+        return /^(SELECT|INPUT|TEXTAREA)$/.test(element.tagName);
+    };
+
+    var dispatch = function(element, e) {
+        var popup = map._popup;
+        var source = popup && popup._source;
+        var entityElement = element.closest('[data-entity-id]');
+        var entityType = entityElement ? entityElement.getAttribute('data-entity-type') : source && source._entityType;
+        var entityId = entityElement ? Number(entityElement.getAttribute('data-entity-id')) : source && source._entityId;
+        if (!entityType || entityId == null || isNaN(entityId)) return;
+
+        e.preventDefault(); // Links (e.g. View Details) are followed by C#
+        e.stopPropagation();
+
+        var action = element.getAttribute('data-action');
+        var value = element.hasAttribute('data-value') ? element.getAttribute('data-value') : (isFormField(element) ? element.value : null);
+        var assetType = pointAssetTypes[entityType];
+        if (action === 'edit' && assetType) {
+            invokePointAssetCallback(source || null, assetType.callbacks.edit, dotNetReference, [entityType, entityId]);
+        } else {
+            dotNetReference.invokeMethodAsync('OnPopupAction', action, entityType, entityId, value);
+        }
+    };
+
+    pane.addEventListener('click', function(e) {
+        var element = e.target.closest('[data-action]');
+        // Menus and inputs act on change, not on the click that opens them
+        if (element && pane.contains(element) && !isFormField(element)) {
+            dispatch(element, e);
+        }
+    });
+    pane.addEventListener('change', function(e) {
+        var element = e.target.closest('[data-action]');
+        if (element && pane.contains(element)) {
+            dispatch(element, e);
+        }
+    });
+}
+
+// Function to add a listener that tells C# which part of the map is visible after the user pans or zooms
+// dotNetReference: The .NET object reference to invoke the OnMapViewportChanged method
+// OnMapViewportChanged gets the visible south, west, north and east edges and the zoom level.
+// Calls are debounced by delayMs (default 300) so a long pan or pinch sends one update, not hundreds;
+// the current viewport is sent once right away so C# can load the first page of data.
+export function addViewportChangeListener(map, dotNetReference, delayMs) {
+    var delay = isFinite(delayMs) ? delayMs : 300;
+    var timer = null;
+
+    var notify = function() {
+        timer = null;
+        var bounds = getMapBounds(map);
+        dotNetReference.invokeMethodAsync('OnMapViewportChanged', bounds.south, bounds.west, bounds.north, bounds.east, map.getZoom());
+    };
+
+    // moveend also fires after every zoom, so one event covers both
+    map.on('moveend', function() {
+        clearTimeout(timer);
+        timer = setTimeout(notify, delay);
+    });
+
+    notify();
+}
+
+// Function to check whether an entity layer lies (at least partly) inside { south, west, north, east } bounds
+function isEntityInBounds(layer, bounds) {
+    var area = L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east]);
+    return layer.getBounds ? area.intersects(layer.getBounds()) : area.contains(layer.getLatLng());
+}
+
+// Function to remove a layer (marker, polyline, circle, etc.) from the map
+export function removeLayer(map, layer) {
+    getLayerContainer(map, layer).removeLayer(layer);
+
+    unregisterEntityLayer(map, layer);
+
+    // Forget layers hidden by the legend so showing the category again doesn't bring them back
+    if (map._legendHiddenLayers) {
+        map._legendHiddenLayers = map._legendHiddenLayers.filter(function(hiddenLayer) { return hiddenLayer !== layer; });
+    }
+}
+
+// Function to show a layer (make it visible)
+export function showLayer(map, layer) {
+    if (layer && !getLayerContainer(map, layer).hasLayer(layer)) {
+        getLayerContainer(map, layer).addLayer(layer);
+    }
+}
+
+// Function to hide a layer (make it invisible but keep it in memory)
+export function hideLayer(map, layer) {
+    if (layer && getLayerContainer(map, layer).hasLayer(layer)) {
+        getLayerContainer(map, layer).removeLayer(layer);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Entity popups
+// Vault, midpoint and cable popups are rendered here from plain data instead of HTML built by
+// the caller: { name, status, statuses, description, color, length, lat, lng, photos: [{ url, name }] }.
+// Every value is escaped, so names and descriptions typed by users can't add markup, and the
+// layout lives in one place (renderEntityPopup and the map-popup styles in app.css).
+// Popup controls use data-action (see addPopupActionListener); photo paging is handled here.
+// ---------------------------------------------------------------------------
+
+// Function to set a layer's popup: a data object (rendered by renderEntityPopup each time it opens) or an HTML string
+function setLayerPopup(layer, content) {
+    var isData = !!content && typeof content === 'object';
+    layer._popupData = isData ? content : null;
+    layer._popupPhotoIndex = 0;
+
+    var popupContent = isData ? function(source) { return renderEntityPopup(source, source._popupData); } : content;
+    if (layer.getPopup()) {
+        layer.setPopupContent(popupContent); // An open popup is rendered again straight away
+    } else {
+        layer.bindPopup(popupContent);
+    }
+}
+
+// Function to check whether a layer already shows this popup content (data is compared by value)
+function isLayerPopupCurrent(layer, content) {
+    if (!layer.getPopup()) return false;
+    if (content && typeof content === 'object') {
+        return !!layer._popupData && JSON.stringify(layer._popupData) === JSON.stringify(content);
+    }
+    return layer.getPopup().getContent() === content;
+}
+
+// Function to build the popup HTML for an entity layer from its popup data
+// Point assets show their current position, so the coordinates are right straight after a drag
+function renderEntityPopup(layer, data) {
+    var photos = data.photos || [];
+    var field = function(label, value) {
+        return '<div class="map-popup-field"><strong>' + label + ':</strong> ' + escapeHtml(value) + '</div>';
+    };
+
+    var html = '<div class="map-popup" data-entity-type="' + escapeHtml(layer._entityType) + '" data-entity-id="' + escapeHtml(layer._entityId) + '">' +
+        field('Name', data.name) +
+        renderPopupPhotos(photos, layer._popupPhotoIndex || 0);
+    var hasStatusMenu = !!(data.statuses && data.statuses.length > 0);
+    // With a statuses list the status is shown (and changed) in the menu below the actions instead
+    if (data.status != null && !hasStatusMenu) html += field('Status', data.status);
+    html += field('Description', data.description || 'No description provided.');
+    if (data.color != null) html += field('Color', data.color);
+    if (data.length != null) html += field('Length', data.length);
+
+    var latLng = layer.getLatLng ? layer.getLatLng() : (isFinite(data.lat) && isFinite(data.lng) ? L.latLng(data.lat, data.lng) : null);
+    if (latLng) {
+        html += field('Coordinates', latLng.lat.toFixed(6) + ', ' + latLng.lng.toFixed(6) + ' (Lat, Lng)');
+    }
+
+    html += '<div class="map-popup-actions">' +
+        '<button type="button" data-action="edit" class="btn btn-sm btn-primary">Edit</button>' +
+        '<button type="button" data-action="navigate" class="btn btn-sm btn-outline-secondary" title="Directions to this location">Directions</button>' +
+        (photos.length > 0 ? '<button type="button" data-action="download-photos" class="btn btn-sm btn-outline-secondary" title="Download all photos as a ZIP file">Photos</button>' : '') +
+        '<a href="' + escapeHtml(layer._entityType + '/' + layer._entityId) + '" data-action="details">View Details</a>' +
+        '</div>';
+
+    if (hasStatusMenu) {
+        html += '<div class="map-popup-status"><label>Status: <select data-action="change-status">' +
+            data.statuses.map(function(status) {
+                return '<option value="' + escapeHtml(status) + '"' + (status === data.status ? ' selected' : '') + '>' + escapeHtml(status) + '</option>';
+            }).join('') +
+            '</select></label></div>';
+    }
+
+    return html + '</div>';
+}
+
+// Function to build the photo viewer for a popup, showing photos[index] with previous/next buttons
+function renderPopupPhotos(photos, index) {
+    if (photos.length === 0) return '';
+
+    index = Math.min(Math.max(index, 0), photos.length - 1);
+    var multiple = photos.length > 1;
+    return '<div class="map-popup-photos">' +
+        '<img class="map-popup-photo" src="' + escapeHtml(photos[index].url) + '" alt="Photo ' + (index + 1) + ' of ' + photos.length + '">' +
+        '<div class="map-popup-photo-nav">' +
+        (multiple ? '<button type="button" data-photo-step="-1" aria-label="Previous photo">&lt;</button>' : '') +
+        '<span class="map-popup-photo-count">' + (index + 1) + ' of ' + photos.length + '</span>' +
+        (multiple ? '<button type="button" data-photo-step="1" aria-label="Next photo">&gt;</button>' : '') +
+        '</div></div>';
+}
+
+// Function to handle the previous/next photo buttons of the open popup
+// The photo is swapped in place so keyboard focus stays on the button
+function initEntityPopups(map) {
+    var pane = map.getPane('popupPane');
+    pane.addEventListener('click', function(e) {
+        var button = e.target.closest('[data-photo-step]');
+        var layer = map._popup && map._popup._source;
+        if (!button || !layer || !layer._popupData) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        var photos = layer._popupData.photos || [];
+        if (photos.length === 0) return;
+
+        var index = ((layer._popupPhotoIndex || 0) + Number(button.getAttribute('data-photo-step')) + photos.length) % photos.length;
+        layer._popupPhotoIndex = index;
+
+        var viewer = button.closest('.map-popup-photos');
+        var img = viewer.querySelector('.map-popup-photo');
+        img.src = photos[index].url;
+        img.alt = 'Photo ' + (index + 1) + ' of ' + photos.length;
+        viewer.querySelector('.map-popup-photo-count').textContent = (index + 1) + ' of ' + photos.length;
+    });
+}
+
+// Function to update a marker's popup content: popup data (see Entity popups) or an HTML string
+export function updateMarkerPopup(marker, newPopupText) {
+    setLayerPopup(marker, newPopupText);
+}
+
+// Function to navigate the map to a specific location
+// Pans and zooms the map to center on the given coordinates
+export function navigateToLocation(map, lat, lng, animate) {
+    // Jump straight there when animate is false (e.g. the initial view)
+    if (animate === false) {
+        map.setView([lat, lng], 18);
+        return;
+    }
+
+    // Use flyTo for smooth animation, or setView for instant navigation
+    // flyTo provides a smooth animated transition to the new location
+    map.flyTo([lat, lng], 18, {
+        animate: true,
+        duration: 1.0 // Animation duration in seconds
+    });
+}
+
+// Function to fit the map to a set of locations (used for "zoom to all" and "zoom to selection")
+// locations: [[lat, lng], ...]; options (optional): { padding: 40, maxZoom: 18, animate: true }
+// A single location goes through navigateToLocation; returns false if there is nothing to show
+export function navigateToLocations(map, locations, options) {
+    options = options || {};
+    var points = (locations || []).filter(function(point) {
+        return point && isFinite(point[0]) && isFinite(point[1]);
+    });
+    if (!map || points.length === 0) return false;
+
+    var bounds = L.latLngBounds(points);
+    if (points.length === 1 || bounds.getNorthEast().equals(bounds.getSouthWest())) {
+        navigateToLocation(map, points[0][0], points[0][1], options.animate);
+        return true;
+    }
+
+    var padding = isFinite(options.padding) ? options.padding : 40;
+    var fitOptions = { padding: [padding, padding], maxZoom: options.maxZoom || 18 };
+    if (options.animate === false) {
+        map.fitBounds(bounds, fitOptions);
+    } else {
+        map.flyToBounds(bounds, L.extend(fitOptions, { duration: 1.0 }));
+    }
+    return true;
+}
+
+// Function to invalidate the map size, forcing Leaflet to recalculate dimensions
+// This should be called after the container size changes (e.g., after DOM updates)
+export function invalidateMapSize(map) {
+    if (map) {
+        map.invalidateSize();
+    }
+}
+
+// Function to create a white circle marker for cable vertices
+// These markers are visible at each point of the cable (similar to Google My Maps)
+// Note: Marker is created but not added to map initially - will be shown when cable is selected or dragging
+export function addCableVertexMarker(map, lat, lng) {
+    // Create a white circle marker with a border
+    // Don't add to map initially - will be shown/hidden based on selection state
+    var marker = L.circleMarker([lat, lng], {
+        radius: 6,
+        fillColor: '#ffffff',
+        color: '#333333',
+        weight: 2,
+        opacity: 1,
+        fillOpacity: 1
+    });
+    // Note: Not calling .addTo(map) here - marker will be added when shown
+    
+    return marker;
+}
+
+// Function to add an editable polyline with drag support for the entire cable
+// Returns the polyline so it can be stored and deleted later
+// label (optional) is the name drawn along the line at high zoom (see Entity labels)
+export function addEditablePolyline(map, coordinates, color, popupText, entityId, dotNetReference, label) {
+    // Map color names to line styles (see DEFAULT_ENTITY_STYLES)
+    var style = getEntityStyle(map, 'cable', color);
+    
+    var polyline = L.polyline(coordinates, {
+        color: style.fill,
+        weight: style.weight,
+        opacity: style.opacity,
+        dashArray: style.dashArray,
+        renderer: map._canvasRenderer // Shared canvas in canvas mode (undefined uses the map's SVG renderer)
+    });
+
+    if (popupText) {
+        setLayerPopup(polyline, popupText);
+    }
+
+    // Remember what this polyline represents (used by the legend and map export)
+    registerEntityLayer(polyline, 'cable', entityId, color);
+    addEntityLayer(map, polyline);
+    setLayerLabel(map, polyline, label);
     
     // Store the original coordinates for drag calculation
     var originalLatLngs = coordinates.map(function(coord) {
@@ -533,7 +2999,8 @@ export function addEditablePolyline(map, coordinates, color, popupText, entityId
     
     // Add mousedown event to start dragging the entire cable
     polyline.on('mousedown', function(e) {
-        if (!isDeleteMode) {
+        // Left button only, so a right-click opens the context menu without moving the cable
+        if (!isMapMode(map, 'delete') && e.originalEvent.button === 0) {
             isDragging = true;
             dragStartMouseLatLng = L.latLng(e.latlng.lat, e.latlng.lng);
             map.dragging.disable(); // Disable map dragging while dragging the cable
@@ -541,182 +3008,1703 @@ export function addEditablePolyline(map, coordinates, color, popupText, entityId
         }
     });
     
-    // Add mousemove event to update polyline position while dragging
-    var mousemoveHandler = function(e) {
-        if (isDragging && !isDeleteMode) {
-            var currentLatLng = e.latlng;
-            var deltaLat = currentLatLng.lat - dragStartMouseLatLng.lat;
-            var deltaLng = currentLatLng.lng - dragStartMouseLatLng.lng;
-            
-            // Update all coordinates
-            var newLatLngs = originalLatLngs.map(function(latLng) {
-                return L.latLng(latLng.lat + deltaLat, latLng.lng + deltaLng);
+    // Add mousemove event to update polyline position while dragging
+    var mousemoveHandler = function(e) {
+        if (isDragging && !isMapMode(map, 'delete')) {
+            var currentLatLng = e.latlng;
+            var deltaLat = currentLatLng.lat - dragStartMouseLatLng.lat;
+            var deltaLng = currentLatLng.lng - dragStartMouseLatLng.lng;
+            
+            // Update all coordinates
+            var newLatLngs = originalLatLngs.map(function(latLng) {
+                return L.latLng(latLng.lat + deltaLat, latLng.lng + deltaLng);
+            });
+            
+            polyline.setLatLngs(newLatLngs);
+            
+            // Update vertex markers position
+            if (polyline._vertexMarkers) {
+                polyline._vertexMarkers.forEach(function(marker, index) {
+                    if (marker && newLatLngs[index]) {
+                        marker.setLatLng(newLatLngs[index]);
+                    }
+                });
+            }
+        }
+    };
+    
+    map.on('mousemove', mousemoveHandler);
+    
+    // Store handler for cleanup
+    polyline._mousemoveHandler = mousemoveHandler;
+    
+    // Add mouseup event to end dragging
+    var mouseupHandler = function(e) {
+        if (isDragging && !isMapMode(map, 'delete')) {
+            isDragging = false;
+            map.dragging.enable(); // Re-enable map dragging
+            
+            var currentLatLng = e.latlng;
+            var deltaLat = currentLatLng.lat - dragStartMouseLatLng.lat;
+            var deltaLng = currentLatLng.lng - dragStartMouseLatLng.lng;
+            
+            // Update original coordinates for next drag
+            originalLatLngs = polyline.getLatLngs();
+            indexEntityLayer(map, polyline);
+            scheduleEntityLabelLayout(map);
+            
+            // Call C# method to update the cable in the database
+            if (dotNetReference && (Math.abs(deltaLat) > 0.000001 || Math.abs(deltaLng) > 0.000001)) {
+                dotNetReference.invokeMethodAsync('OnCableDragEnd', entityId, deltaLat, deltaLng);
+            }
+        }
+    };
+    
+    map.on('mouseup', mouseupHandler);
+    
+    // Store handler for cleanup
+    polyline._mouseupHandler = mouseupHandler;
+    
+    // If entityId and dotNetReference are provided, add click handler for selection and deletion
+    if (entityId && dotNetReference) {
+        polyline.on('click', function(e) {
+            if (isMapMode(map, 'delete')) {
+                L.DomEvent.stop(e);
+                // Call C# method to handle the click (for deletion mode)
+                dotNetReference.invokeMethodAsync('OnEntityClick', 'cable', entityId);
+            } else {
+                // Not in delete mode - treat as selection to show/hide vertices
+                dotNetReference.invokeMethodAsync('OnCableSelected', entityId);
+            }
+        });
+    }
+    
+    // Store original coordinates on the polyline for vertex updates
+    polyline._originalLatLngs = originalLatLngs;
+    
+    return polyline;
+}
+
+// Function to make a vertex marker draggable and connect it to a polyline
+// When the vertex is dragged, it updates the polyline and calls C# to update the database
+export function makeVertexDraggable(map, vertexMarker, cableId, vertexIndex, polyline, dotNetReference) {
+    // Make the marker draggable (circleMarker doesn't support draggable option, so we need to use a different approach)
+    // Convert to a marker for draggability
+    var latLng = vertexMarker.getLatLng();
+    var draggableMarker = L.marker(latLng, {
+        draggable: true,
+        icon: L.divIcon({
+            className: 'cable-vertex-marker',
+            html: '<div style="width: 12px; height: 12px; border-radius: 50%; background-color: #ffffff; border: 2px solid #333333; cursor: move;"></div>',
+            iconSize: [12, 12],
+            iconAnchor: [6, 6]
+        })
+    });
+    // Note: Not adding to map initially - will be shown when cable is selected or dragging
+    // This keeps vertices hidden by default
+    
+    // Remove the original circle marker (if it was added to map)
+    if (map.hasLayer(vertexMarker)) {
+        map.removeLayer(vertexMarker);
+    }
+    
+    // Track the cable and vertex info
+    draggableMarker._cableId = cableId;
+    draggableMarker._vertexIndex = vertexIndex;
+    draggableMarker._polyline = polyline;
+    
+    // Add to polyline's vertex markers array
+    if (!polyline._vertexMarkers) {
+        polyline._vertexMarkers = [];
+    }
+    polyline._vertexMarkers[vertexIndex] = draggableMarker;
+    
+    // Handle drag start - show vertex markers when dragging starts
+    draggableMarker.on('dragstart', function(e) {
+        map.dragging.disable(); // Disable map dragging while dragging the vertex
+        // Show all vertex markers for this cable when dragging starts
+        // This ensures all vertices are visible while editing
+        if (polyline._vertexMarkers) {
+            polyline._vertexMarkers.forEach(function(marker) {
+                if (marker) {
+                    if (!map.hasLayer(marker)) {
+                        marker.addTo(map); // Add marker to map if not already visible
+                    }
+                }
+            });
+        }
+        // Also ensure this marker is visible
+        if (!map.hasLayer(draggableMarker)) {
+            draggableMarker.addTo(map);
+        }
+        // Notify C# that dragging started so it can track selection state
+        if (dotNetReference) {
+            dotNetReference.invokeMethodAsync('OnCableVertexDragStart', cableId);
+        }
+    });
+    
+    // Handle drag - update the polyline in real-time
+    draggableMarker.on('drag', function(e) {
+        if (polyline) {
+            var newLatLng = draggableMarker.getLatLng();
+            var latLngs = polyline.getLatLngs();
+            
+            // Update the coordinate at the vertex index
+            if (latLngs && latLngs[vertexIndex] !== undefined) {
+                latLngs[vertexIndex] = newLatLng;
+                polyline.setLatLngs(latLngs);
+            }
+        }
+    });
+    
+    // Handle drag end - update the database
+    draggableMarker.on('dragend', function(e) {
+        map.dragging.enable(); // Re-enable map dragging
+        indexEntityLayer(map, polyline); // The cable's path changed
+        scheduleEntityLabelLayout(map);
+        
+        var newLatLng = draggableMarker.getLatLng();
+        var newLat = newLatLng.lat;
+        var newLng = newLatLng.lng;
+        
+        // Call C# method to update the cable vertex in the database
+        if (dotNetReference) {
+            dotNetReference.invokeMethodAsync('OnCableVertexDragEnd', cableId, vertexIndex, newLat, newLng);
+        }
+        
+        // After drag ends, hide vertices if cable is not selected
+        // The C# method will handle showing/hiding based on selection state
+        if (dotNetReference) {
+            dotNetReference.invokeMethodAsync('OnCableVertexDragEndComplete', cableId);
+        }
+    });
+    
+    // Prevent vertex marker clicks from triggering cable deletion
+    draggableMarker.on('click', function(e) {
+        if (isMapMode(map, 'delete')) {
+            L.DomEvent.stop(e);
+            // Don't delete on vertex click - only on cable line click
+        }
+    });
+    
+    return draggableMarker;
+}
+
+// ---------------------------------------------------------------------------
+// Entity registry and batch rendering
+// Every vault, midpoint and cable layer is kept in map._entities by type and id
+// (see addEntityLayer), so C# can address layers by id and syncEntities can update
+// only what changed instead of removing and re-adding layers.
+// ---------------------------------------------------------------------------
+
+// Function to list the batch keys used by renderEntities/syncEntities and the entity type each one holds
+// (one per point asset type, e.g. 'vaults', then 'cables')
+function getEntityBatchTypes() {
+    return pointAssetTypeOrder.map(function(entityType) {
+        return { key: pointAssetTypes[entityType].batchKey, type: entityType };
+    }).concat([{ key: 'cables', type: 'cable' }]);
+}
+
+// Function to get the id -> layer registry for one entity type
+function getEntityRegistry(map, entityType) {
+    if (!map._entities) {
+        map._entities = { vault: {}, midpoint: {}, cable: {} };
+    }
+    if (!map._entities[entityType]) {
+        map._entities[entityType] = {};
+    }
+    return map._entities[entityType];
+}
+
+// Function to drop a layer from the registry (only if it is still the registered layer for its id)
+function unregisterEntityLayer(map, layer) {
+    if (!layer || !layer._entityType || layer._entityId == null) return;
+
+    var registry = getEntityRegistry(map, layer._entityType);
+    if (registry[layer._entityId] === layer) {
+        delete registry[layer._entityId];
+        unindexEntityLayer(map, layer);
+        removeLayerLabel(layer);
+        scheduleEntityListUpdate(map);
+    }
+}
+
+// Function to get the layer for an entity, e.g. getEntityLayer(map, 'vault', 12)
+// Returns null if the entity isn't on the map
+export function getEntityLayer(map, entityType, entityId) {
+    if (!map) return null;
+    return getEntityRegistry(map, entityType)[entityId] || null;
+}
+
+// Function to check whether an entity is on the map, e.g. hasEntity(map, 'cable', 7)
+export function hasEntity(map, entityType, entityId) {
+    return !!getEntityLayer(map, entityType, entityId);
+}
+
+// Function to list the ids of every registered entity of a type
+export function getEntityIds(map, entityType) {
+    if (!map) return [];
+    return Object.keys(getEntityRegistry(map, entityType)).map(Number);
+}
+
+// Function to remove an entity by id, including a cable's vertex markers and drag handlers
+// Returns true if the entity was on the map
+export function removeEntity(map, entityType, entityId) {
+    var layer = getEntityLayer(map, entityType, entityId);
+    if (!layer) return false;
+
+    (layer._vertexMarkers || []).forEach(function(vertexMarker) {
+        if (vertexMarker && map.hasLayer(vertexMarker)) {
+            map.removeLayer(vertexMarker);
+        }
+    });
+    if (layer._mousemoveHandler) {
+        map.off('mousemove', layer._mousemoveHandler);
+        map.off('mouseup', layer._mouseupHandler);
+    }
+
+    removeLayer(map, layer);
+    return true;
+}
+
+// Function to highlight or unhighlight an entity by id
+export function setEntitySelection(map, entityType, entityId, isSelected) {
+    var layer = getEntityLayer(map, entityType, entityId);
+    if (!layer) return false;
+
+    if (entityType === 'cable') {
+        setPolylineSelection(layer, isSelected);
+    } else {
+        setMarkerSelection(layer, isSelected);
+    }
+    return true;
+}
+
+// Function to set the badges on a vault or midpoint by id (see setMarkerBadges)
+export function setEntityBadges(map, entityType, entityId, badges) {
+    var layer = getEntityLayer(map, entityType, entityId);
+    if (!layer || entityType === 'cable') return false;
+
+    setMarkerBadges(layer, badges);
+    return true;
+}
+
+// Function to replace an entity's popup by id: popup data (see Entity popups) or an HTML string
+export function setEntityPopup(map, entityType, entityId, popup) {
+    var layer = getEntityLayer(map, entityType, entityId);
+    if (!layer) return false;
+
+    setLayerPopup(layer, popup);
+    return true;
+}
+
+// Function to put a layer on or off the map after its color changed, following the legend's hidden categories
+function applyCategoryVisibility(map, layer) {
+    var hidden = !!map._hiddenCategories[getCategoryKey(layer._entityType, layer._entityColor)];
+    var wasHidden = map._legendHiddenLayers.indexOf(layer) !== -1;
+
+    if (hidden && !wasHidden) {
+        hideCategoryLayer(map, layer);
+    } else if (!hidden && wasHidden) {
+        map._legendHiddenLayers = map._legendHiddenLayers.filter(function(hiddenLayer) { return hiddenLayer !== layer; });
+        getLayerContainer(map, layer).addLayer(layer);
+    }
+    scheduleEntityListUpdate(map);
+}
+
+// Function to create one entity from a batch item (it registers itself, see addEntityLayer)
+function createEntity(map, entityType, item, dotNetReference) {
+    if (pointAssetTypes[entityType]) {
+        addPointAsset(map, entityType, item.lat, item.lng, item.color, item.popup, item.id, dotNetReference, item.selected, item.label);
+        return;
+    }
+
+    var polyline = addEditablePolyline(map, item.coordinates, item.color, item.popup, item.id, dotNetReference, item.label);
+
+    // Draggable vertex markers (kept on polyline._vertexMarkers), hidden unless the cable is selected
+    item.coordinates.forEach(function(coord, index) {
+        makeVertexDraggable(map, addCableVertexMarker(map, coord.lat, coord.lng), item.id, index, polyline, dotNetReference);
+    });
+    showCableVertices(map, polyline, item.showVertices);
+}
+
+// Function to put a cable's vertex markers on or off the map
+function showCableVertices(map, polyline, visible) {
+    (polyline._vertexMarkers || []).forEach(function(vertexMarker) {
+        if (!vertexMarker) return;
+        if (visible && !map.hasLayer(vertexMarker)) {
+            vertexMarker.addTo(map);
+        } else if (!visible && map.hasLayer(vertexMarker)) {
+            map.removeLayer(vertexMarker);
+        }
+    });
+}
+
+// Function to show or hide a cable's vertex markers by id (shown while the cable is selected)
+// Returns true if the cable is on the map
+export function setCableVerticesVisible(map, cableId, visible) {
+    var polyline = getEntityLayer(map, 'cable', cableId);
+    if (!polyline) return false;
+
+    showCableVertices(map, polyline, visible);
+    return true;
+}
+
+// Function to bring an existing point asset in line with a batch item (move, restyle, new popup)
+// Returns true if anything changed
+function updatePointEntity(map, layer, entityType, item) {
+    var changed = false;
+
+    var latLng = layer.getLatLng();
+    if (Math.abs(latLng.lat - item.lat) > 1e-9 || Math.abs(latLng.lng - item.lng) > 1e-9) {
+        layer.setLatLng([item.lat, item.lng]);
+        changed = true;
+    }
+
+    var selected = !!item.selected;
+    if (item.color && (layer._entityColor !== item.color || !!layer._isSelected !== selected)) {
+        var colorChanged = layer._entityColor !== item.color;
+        layer._entityColor = item.color;
+        layer._isSelected = selected;
+        setPointLayerStyle(map, layer, entityType, item.color, selected);
+        refreshMarkerCluster(layer);
+        if (colorChanged) {
+            applyCategoryVisibility(map, layer);
+        }
+        changed = true;
+    }
+
+    if (item.popup != null && !isLayerPopupCurrent(layer, item.popup)) {
+        setLayerPopup(layer, item.popup);
+        changed = true;
+    }
+
+    if (item.label !== undefined && setLayerLabel(map, layer, item.label)) {
+        changed = true;
+    }
+
+    if (item.badges !== undefined && getBadgesKey(getEntityBadges(item.badges)) !== getBadgesKey(layer._entityBadges)) {
+        setMarkerBadges(layer, item.badges);
+        changed = true;
+    }
+    return changed;
+}
+
+// Function to check whether a cable's path differs from a batch item's coordinates
+function cablePathChanged(polyline, coordinates) {
+    var latLngs = polyline.getLatLngs();
+    if (latLngs.length !== coordinates.length) return true;
+
+    return latLngs.some(function(latLng, index) {
+        return Math.abs(latLng.lat - coordinates[index].lat) > 1e-9 || Math.abs(latLng.lng - coordinates[index].lng) > 1e-9;
+    });
+}
+
+// Function to bring an existing cable in line with a batch item (restyle, new popup, vertex visibility)
+// Path changes are handled by the caller, which redraws the cable so its drag handlers use the new path
+function updateCableEntity(map, polyline, item) {
+    var changed = false;
+
+    if (item.color && polyline._entityColor !== item.color) {
+        polyline._entityColor = item.color;
+        applyCableStyle(map, polyline);
+        applyCategoryVisibility(map, polyline);
+        changed = true;
+    }
+
+    if (item.popup != null && !isLayerPopupCurrent(polyline, item.popup)) {
+        setLayerPopup(polyline, item.popup);
+        changed = true;
+    }
+
+    if (item.label !== undefined && setLayerLabel(map, polyline, item.label)) {
+        changed = true;
+    }
+
+    showCableVertices(map, polyline, item.showVertices);
+    return changed;
+}
+
+// Function to render many vaults, midpoints and cables in one call
+// Replaces one interop round trip per addMarker/addCircle/addEditablePolyline/vertex call on load
+// batch: {
+//   vaults:    [{ id, lat, lng, color, popup, selected, label, preview, badges }],
+//   midpoints: [{ id, lat, lng, color, popup, selected, label, preview, badges }],
+//   (vaults and midpoints may give a status such as 'Issue' instead of a color; see DEFAULT_ENTITY_STYLES)
+//   cables:    [{ id, coordinates: [{ lat, lng }], color, popup, showVertices, label, preview }]
+//   (popup is popup data rendered by renderEntityPopup, or HTML; preview is the hover tooltip data, see setEntityPreview;
+//   badges are the icon badges, see setMarkerBadges)
+//   plus one list per registered point asset type under its batchKey (see registerPointAssetType)
+// }
+// Returns the ids that were added, as { added: { vaults: [id], midpoints: [id], cables: [id] } };
+// the layers stay in the registry, so C# addresses them by id (see getEntityLayer)
+export function renderEntities(map, batch, dotNetReference) {
+    return syncEntities(map, batch, dotNetReference, { removeMissing: false });
+}
+
+// Function to make the map match a set of vaults, midpoints and cables (same batch shape as renderEntities)
+// New entities are added, existing ones are moved, restyled or given a new popup only when something
+// changed, and - for each type present in the batch - entities not in it are removed (unless
+// options.removeMissing is false). Cables whose path changed are redrawn.
+// For data paged in by bounding box, pass options.bounds ({ south, west, north, east }, e.g. from
+// OnMapViewportChanged): the batch then only covers that area, so entities outside it are left alone.
+// Returns the ids by type of what changed: added (including redrawn cables), updated in place and removed,
+// e.g. { added: { vaults: [id], ... }, updated: { vaults: [id], ... }, removed: { vaults: [id], ... } }
+export function syncEntities(map, batch, dotNetReference, options) {
+    batch = batch || {};
+    options = options || {};
+    var removeMissing = options.removeMissing !== false;
+    var batchTypes = getEntityBatchTypes();
+    var result = { added: {}, updated: {}, removed: {} };
+    batchTypes.forEach(function(batchType) {
+        result.added[batchType.key] = [];
+        result.updated[batchType.key] = [];
+        result.removed[batchType.key] = [];
+    });
+
+    // Collect new vault and midpoint markers and add them to the cluster group in one go (see addEntityLayer)
+    map._pendingClusterLayers = map._clusterGroup ? [] : null;
+
+    try {
+        batchTypes.forEach(function(batchType) {
+            var items = batch[batchType.key];
+            if (!items) return;
+
+            var registry = getEntityRegistry(map, batchType.type);
+            var incomingIds = {};
+
+            items.forEach(function(item) {
+                incomingIds[item.id] = true;
+                item.color = resolveEntityColor(map, batchType.type, item.color, item.status);
+                var assetType = pointAssetTypes[batchType.type];
+                if (item.popup == null && assetType && assetType.popup) {
+                    item.popup = assetType.popup(item);
+                }
+                var layer = registry[item.id];
+
+                if (layer && batchType.type === 'cable' && cablePathChanged(layer, item.coordinates)) {
+                    removeEntity(map, 'cable', item.id);
+                    layer = null;
+                }
+
+                if (!layer) {
+                    createEntity(map, batchType.type, item, dotNetReference);
+                    result.added[batchType.key].push(item.id);
+                    setLayerPreview(map, registry[item.id], item.preview);
+                    if (item.badges && batchType.type !== 'cable') {
+                        setMarkerBadges(registry[item.id], item.badges);
+                    }
+                    return;
+                }
+
+                setLayerPreview(map, layer, item.preview);
+
+                var changed = batchType.type === 'cable'
+                    ? updateCableEntity(map, layer, item)
+                    : updatePointEntity(map, layer, batchType.type, item);
+                if (changed) {
+                    result.updated[batchType.key].push(item.id);
+                }
             });
-            
-            polyline.setLatLngs(newLatLngs);
-            
-            // Update vertex markers position
-            if (polyline._vertexMarkers) {
-                polyline._vertexMarkers.forEach(function(marker, index) {
-                    if (marker && newLatLngs[index]) {
-                        marker.setLatLng(newLatLngs[index]);
+
+            if (removeMissing) {
+                Object.keys(registry).forEach(function(id) {
+                    if (!incomingIds[id] && (!options.bounds || isEntityInBounds(registry[id], options.bounds))) {
+                        removeEntity(map, batchType.type, id);
+                        result.removed[batchType.key].push(Number(id));
                     }
                 });
             }
+        });
+
+        if (map._pendingClusterLayers && map._pendingClusterLayers.length > 0) {
+            map._clusterGroup.addLayers(map._pendingClusterLayers);
+        }
+    } finally {
+        map._pendingClusterLayers = null;
+    }
+
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Spatial index
+// A grid of every registered vault, midpoint and cable segment, for "what is near this
+// point" lookups (snapping, duplicate detection, proximity selection). Entities are indexed
+// when registered (see addEntityLayer) and re-indexed when moved: markers on their move
+// event, cables when a cable or vertex drag ends.
+// ---------------------------------------------------------------------------
+
+var SPATIAL_CELL_SIZE = 0.005; // Grid cell size in degrees (about 550 m north-south)
+var DEFAULT_NEAREST_METERS = 50; // Search radius for nearest() when none is given
+
+// Function to get the map's spatial index: grid cells of entries, plus the entries of each entity
+function getSpatialIndex(map) {
+    if (!map._spatialIndex) {
+        map._spatialIndex = { cells: {}, entities: {}, queryCount: 0 };
+    }
+    return map._spatialIndex;
+}
+
+// Function to call back with the key of every grid cell touching an area
+function forEachSpatialCell(south, west, north, east, callback) {
+    for (var row = Math.floor(south / SPATIAL_CELL_SIZE); row <= Math.floor(north / SPATIAL_CELL_SIZE); row++) {
+        for (var col = Math.floor(west / SPATIAL_CELL_SIZE); col <= Math.floor(east / SPATIAL_CELL_SIZE); col++) {
+            callback(row + ':' + col);
+        }
+    }
+}
+
+// Function to (re)build the index entries for a registered vault, midpoint or cable layer
+// Points get one entry; cables get one entry per segment between consecutive vertices
+function indexEntityLayer(map, layer) {
+    if (!layer._entityType || getEntityRegistry(map, layer._entityType)[layer._entityId] !== layer) return;
+
+    unindexEntityLayer(map, layer);
+
+    var index = getSpatialIndex(map);
+    var entries = [];
+    var toLatLng = function(latLng) { return L.latLng(latLng.lat, latLng.lng); };
+
+    if (layer._entityType === 'cable') {
+        var latLngs = layer.getLatLngs().map(toLatLng);
+        for (var i = 0; i < latLngs.length - 1; i++) {
+            entries.push({ segmentIndex: i, start: latLngs[i], end: latLngs[i + 1] });
         }
+    } else {
+        // Spiderfied cluster markers are moved temporarily, so index where they really are
+        var latLng = toLatLng(layer._preSpiderfyLatlng || layer.getLatLng());
+        entries.push({ segmentIndex: null, start: latLng, end: latLng });
+    }
+
+    entries.forEach(function(entry) {
+        entry.type = layer._entityType;
+        entry.id = layer._entityId;
+        entry.cells = [];
+        forEachSpatialCell(
+            Math.min(entry.start.lat, entry.end.lat), Math.min(entry.start.lng, entry.end.lng),
+            Math.max(entry.start.lat, entry.end.lat), Math.max(entry.start.lng, entry.end.lng),
+            function(cellKey) {
+                (index.cells[cellKey] = index.cells[cellKey] || []).push(entry);
+                entry.cells.push(cellKey);
+            });
+    });
+
+    index.entities[layer._entityType + ':' + layer._entityId] = entries;
+}
+
+// Function to drop a layer's entries from the index
+function unindexEntityLayer(map, layer) {
+    var index = getSpatialIndex(map);
+    var entityKey = layer._entityType + ':' + layer._entityId;
+
+    (index.entities[entityKey] || []).forEach(function(entry) {
+        entry.cells.forEach(function(cellKey) {
+            var cell = index.cells[cellKey].filter(function(cellEntry) { return cellEntry !== entry; });
+            if (cell.length > 0) {
+                index.cells[cellKey] = cell;
+            } else {
+                delete index.cells[cellKey];
+            }
+        });
+    });
+    delete index.entities[entityKey];
+}
+
+// Function to call back once for every index entry whose cell touches an area
+function forEachSpatialEntry(map, south, west, north, east, callback) {
+    var index = getSpatialIndex(map);
+    // Long segments sit in several cells; stamp entries so each is reported once per query
+    var query = ++index.queryCount;
+    var visit = function(cell) {
+        cell.forEach(function(entry) {
+            if (entry.lastQuery === query) return;
+            entry.lastQuery = query;
+            callback(entry);
+        });
     };
-    
-    map.on('mousemove', mousemoveHandler);
-    
-    // Store handler for cleanup
-    polyline._mousemoveHandler = mousemoveHandler;
-    
-    // Add mouseup event to end dragging
-    var mouseupHandler = function(e) {
-        if (isDragging && !isDeleteMode) {
-            isDragging = false;
-            map.dragging.enable(); // Re-enable map dragging
-            
-            var currentLatLng = e.latlng;
-            var deltaLat = currentLatLng.lat - dragStartMouseLatLng.lat;
-            var deltaLng = currentLatLng.lng - dragStartMouseLatLng.lng;
-            
-            // Update original coordinates for next drag
-            originalLatLngs = polyline.getLatLngs();
-            
-            // Call C# method to update the cable in the database
-            if (dotNetReference && (Math.abs(deltaLat) > 0.000001 || Math.abs(deltaLng) > 0.000001)) {
-                dotNetReference.invokeMethodAsync('OnCableDragEnd', entityId, deltaLat, deltaLng);
+
+    // Large areas (zoomed far out) have more grid cells than there are occupied ones, so just scan those
+    var cellCount = (Math.floor(north / SPATIAL_CELL_SIZE) - Math.floor(south / SPATIAL_CELL_SIZE) + 1) *
+        (Math.floor(east / SPATIAL_CELL_SIZE) - Math.floor(west / SPATIAL_CELL_SIZE) + 1);
+    if (cellCount > Object.keys(index.cells).length) {
+        Object.keys(index.cells).forEach(function(cellKey) { visit(index.cells[cellKey]); });
+    } else {
+        forEachSpatialCell(south, west, north, east, function(cellKey) {
+            if (index.cells[cellKey]) visit(index.cells[cellKey]);
+        });
+    }
+}
+
+// Function to find the point on a segment closest to a target (flat-earth approximation, fine at these distances)
+function closestPointOnSegment(target, start, end) {
+    var scale = Math.cos(target.lat * Math.PI / 180);
+    var ax = (start.lng - target.lng) * scale, ay = start.lat - target.lat;
+    var bx = (end.lng - target.lng) * scale, by = end.lat - target.lat;
+    var dx = bx - ax, dy = by - ay;
+    var lengthSquared = dx * dx + dy * dy;
+    var t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+
+    return L.latLng(start.lat + t * (end.lat - start.lat), start.lng + t * (end.lng - start.lng));
+}
+
+// Function to check whether a segment (or a point, when start and end match) touches { south, west, north, east } bounds
+// Clips the segment against each edge in turn (Liang-Barsky)
+function segmentIntersectsBounds(start, end, bounds) {
+    var dx = end.lng - start.lng;
+    var dy = end.lat - start.lat;
+    var edges = [
+        [-dx, start.lng - bounds.west],
+        [dx, bounds.east - start.lng],
+        [-dy, start.lat - bounds.south],
+        [dy, bounds.north - start.lat]
+    ];
+    var tMin = 0;
+    var tMax = 1;
+
+    for (var i = 0; i < edges.length; i++) {
+        var p = edges[i][0];
+        var q = edges[i][1];
+        if (p === 0) {
+            if (q < 0) return false; // Parallel to this edge and outside it
+        } else if (p < 0) {
+            tMin = Math.max(tMin, q / p);
+        } else {
+            tMax = Math.min(tMax, q / p);
+        }
+        if (tMin > tMax) return false;
+    }
+    return true;
+}
+
+// Function to find the vault, midpoint or cable nearest to a point
+// entityType: 'vault', 'midpoint', 'cable', or null/empty for any
+// maxMeters: search radius (default 50 m)
+// Returns { type, id, lat, lng, distance, segmentIndex } or null if nothing is within maxMeters;
+// lat/lng is the closest point on the entity (e.g. to snap to) and segmentIndex is the cable segment
+// (between vertex segmentIndex and segmentIndex + 1), null for vaults and midpoints
+export function nearest(map, lat, lng, entityType, maxMeters) {
+    if (!map) return null;
+
+    var radius = isFinite(maxMeters) && maxMeters > 0 ? maxMeters : DEFAULT_NEAREST_METERS;
+    var target = L.latLng(lat, lng);
+    var latDelta = radius / 111320; // Meters per degree of latitude
+    var lngDelta = radius / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    var best = null;
+
+    forEachSpatialEntry(map, lat - latDelta, lng - lngDelta, lat + latDelta, lng + lngDelta, function(entry) {
+        if (entityType && entry.type !== entityType) return;
+
+        var closest = closestPointOnSegment(target, entry.start, entry.end);
+        var distance = target.distanceTo(closest);
+        if (distance <= radius && (!best || distance < best.distance)) {
+            best = {
+                type: entry.type,
+                id: entry.id,
+                lat: closest.lat,
+                lng: closest.lng,
+                distance: distance,
+                segmentIndex: entry.segmentIndex
+            };
+        }
+    });
+    return best;
+}
+
+// Function to list the vaults, midpoints and cables inside { south, west, north, east } bounds
+// Cables count if any of their segments crosses the bounds
+// Returns { vaults: [id], midpoints: [id], cables: [id] } plus a list under each registered point asset type's batchKey
+export function withinBounds(map, bounds) {
+    var batchTypes = getEntityBatchTypes();
+    var result = {};
+    batchTypes.forEach(function(batchType) { result[batchType.key] = []; });
+    if (!map || !bounds) return result;
+
+    var found = {};
+    forEachSpatialEntry(map, bounds.south, bounds.west, bounds.north, bounds.east, function(entry) {
+        var entityKey = entry.type + ':' + entry.id;
+        if (found[entityKey] || !segmentIntersectsBounds(entry.start, entry.end, bounds)) return;
+
+        found[entityKey] = true;
+        batchTypes.forEach(function(batchType) {
+            if (batchType.type === entry.type) result[batchType.key].push(entry.id);
+        });
+    });
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Entity labels
+// Permanent name labels (e.g. "VLT-104") beside point assets and along cables, so crews can
+// read names without opening popups. Labels show from labelMinZoom (initMap option) up,
+// skip any label that would overlap one already placed (selected entities and point assets
+// win over cables) and can be switched off with the legend's Labels checkbox or setLabelsVisible.
+// They live in their own pane and are laid out again whenever the view or an entity changes.
+// ---------------------------------------------------------------------------
+
+var LABELS_STORAGE_KEY = 'foms-map-labels';
+var DEFAULT_LABEL_MIN_ZOOM = 17; // Street level, where names don't crowd each other out
+var LABEL_GAP = 4; // Pixels between a point asset and its label
+var LABEL_PADDING = 2; // Pixels kept clear around each label when checking for overlaps
+
+// Function to set up the label pane and relayout on view changes
+function initEntityLabels(map, options) {
+    map._labelMinZoom = isFinite(options.labelMinZoom) ? options.labelMinZoom : DEFAULT_LABEL_MIN_ZOOM;
+    map._labelsVisible = readPreference(LABELS_STORAGE_KEY, ['true', 'false'], options.showLabels === false ? 'false' : 'true') === 'true';
+
+    // Above cables (overlay pane, 400) and below markers (600) so labels never cover something clickable
+    map._labelPane = map.createPane('entityLabels');
+    map._labelPane.style.zIndex = 450;
+    map._labelPane.style.pointerEvents = 'none';
+
+    // Positions are in layer pixels, which go stale while a zoom animates, so hide until it ends
+    map.on('zoomstart', function() {
+        map._labelPane.style.display = 'none';
+    });
+    // Markers moving in and out of clusters and legend categories being toggled add and remove layers
+    map.on('zoomend moveend layeradd layerremove', function() {
+        scheduleEntityLabelLayout(map);
+    });
+}
+
+// Function to lay out the labels on the next animation frame (many changes in a row lay out once)
+function scheduleEntityLabelLayout(map) {
+    if (!map._labelPane || map._labelLayoutPending) return;
+
+    map._labelLayoutPending = true;
+    requestAnimationFrame(function() {
+        map._labelLayoutPending = false;
+        layoutEntityLabels(map);
+    });
+}
+
+// Function to set or clear the label text of an entity layer
+function setLayerLabel(map, layer, text) {
+    text = text == null ? '' : String(text).trim();
+    if ((layer._entityLabel || '') === text) return false;
+
+    layer._entityLabel = text;
+    if (layer._labelElement) {
+        layer._labelElement.textContent = text;
+        layer._labelSize = null; // Measured again on the next layout
+    }
+    scheduleEntityLabelLayout(map);
+    scheduleEntityListUpdate(map);
+    return true;
+}
+
+// Function to remove a layer's label element (the entity left the map)
+function removeLayerLabel(layer) {
+    if (layer._labelElement) {
+        L.DomUtil.remove(layer._labelElement);
+        layer._labelElement = null;
+        layer._labelSize = null;
+    }
+}
+
+// Function to get (creating it if needed) a layer's label element and its size in pixels
+function getLayerLabelElement(map, layer) {
+    if (!layer._labelElement) {
+        layer._labelElement = L.DomUtil.create('div', 'map-entity-label map-entity-label-' + layer._entityType, map._labelPane);
+        layer._labelElement.textContent = layer._entityLabel;
+    }
+    if (!layer._labelSize) {
+        layer._labelElement.style.display = '';
+        layer._labelSize = { width: layer._labelElement.offsetWidth, height: layer._labelElement.offsetHeight };
+    }
+    return layer._labelElement;
+}
+
+// Function to find where a cable's label goes: the middle of its longest segment on screen
+// Returns { point, angle } in layer pixels and radians, or null if no segment is long enough for the text
+function getCableLabelPlacement(map, polyline, labelWidth, viewBounds) {
+    var latLngs = polyline.getLatLngs();
+    var best = null;
+
+    for (var i = 0; i < latLngs.length - 1; i++) {
+        if (!viewBounds.contains(latLngs[i]) && !viewBounds.contains(latLngs[i + 1])) continue;
+
+        var start = map.latLngToLayerPoint(latLngs[i]);
+        var end = map.latLngToLayerPoint(latLngs[i + 1]);
+        var length = start.distanceTo(end);
+        if (length > labelWidth + 2 * LABEL_GAP && (!best || length > best.length)) {
+            best = { start: start, end: end, length: length };
+        }
+    }
+    if (!best) return null;
+
+    // Follow the line but keep the text upright
+    var angle = Math.atan2(best.end.y - best.start.y, best.end.x - best.start.x);
+    if (angle > Math.PI / 2) angle -= Math.PI;
+    if (angle < -Math.PI / 2) angle += Math.PI;
+
+    return { point: best.start.add(best.end).divideBy(2), angle: angle };
+}
+
+// Function to position every label that fits and hide the rest
+function layoutEntityLabels(map) {
+    var pane = map._labelPane;
+    var show = map._labelsVisible && map.getZoom() >= map._labelMinZoom;
+    pane.style.display = show ? '' : 'none';
+    if (!show) return;
+
+    // Labelled entities actually drawn on the map (not clustered or hidden by the legend) near the view
+    var viewBounds = map.getBounds().pad(0.1);
+    var candidates = [];
+    pointAssetTypeOrder.concat(['cable']).forEach(function(entityType) {
+        var registry = getEntityRegistry(map, entityType);
+        Object.keys(registry).forEach(function(id) {
+            var layer = registry[id];
+            var visible = layer._entityLabel && layer._map && (entityType === 'cable' || viewBounds.contains(layer.getLatLng()));
+            if (visible) {
+                candidates.push(layer);
+            } else if (layer._labelElement) {
+                layer._labelElement.style.display = 'none';
+            }
+        });
+    });
+
+    // Selected entities first, then point assets, then cables
+    candidates.sort(function(a, b) {
+        var rank = function(layer) { return (layer._isSelected ? 0 : 2) + (layer._entityType === 'cable' ? 1 : 0); };
+        return rank(a) - rank(b);
+    });
+
+    var placed = [];
+    candidates.forEach(function(layer) {
+        var element = getLayerLabelElement(map, layer);
+        var width = layer._labelSize.width;
+        var height = layer._labelSize.height;
+        var center;
+        var angle = 0;
+
+        if (layer._entityType === 'cable') {
+            var placement = getCableLabelPlacement(map, layer, width, viewBounds);
+            if (!placement) {
+                element.style.display = 'none';
+                return;
             }
+            center = placement.point;
+            angle = placement.angle;
+        } else {
+            // To the right of the icon
+            var style = getLayerEntityStyle(layer);
+            var anchor = map.latLngToLayerPoint(layer.getLatLng());
+            center = L.point(anchor.x + (style ? style.size / 2 : 10) + LABEL_GAP + width / 2, anchor.y);
+        }
+
+        // Screen-aligned box around the (possibly rotated) label
+        var cos = Math.abs(Math.cos(angle));
+        var sin = Math.abs(Math.sin(angle));
+        var halfWidth = (width * cos + height * sin) / 2 + LABEL_PADDING;
+        var halfHeight = (width * sin + height * cos) / 2 + LABEL_PADDING;
+        var box = L.bounds([center.x - halfWidth, center.y - halfHeight], [center.x + halfWidth, center.y + halfHeight]);
+
+        if (placed.some(function(other) { return other.overlaps(box); })) {
+            element.style.display = 'none';
+            return;
+        }
+        placed.push(box);
+
+        element.style.display = '';
+        element.style.transform = 'translate(' + (center.x - width / 2) + 'px, ' + (center.y - height / 2) + 'px)' +
+            (angle ? ' rotate(' + angle + 'rad)' : '');
+        L.DomUtil[layer._isSelected ? 'addClass' : 'removeClass'](element, 'map-entity-label-selected');
+    });
+}
+
+// Function to set the label shown for an entity by id (null or empty removes it)
+// Returns true if the entity is on the map
+export function setEntityLabel(map, entityType, entityId, text) {
+    var layer = getEntityLayer(map, entityType, entityId);
+    if (!layer) return false;
+
+    setLayerLabel(map, layer, text);
+    return true;
+}
+
+// Function to switch name labels on or off (remembered on this device)
+export function setLabelsVisible(map, visible) {
+    if (!map || !map._labelPane) return;
+
+    map._labelsVisible = !!visible;
+    writePreference(LABELS_STORAGE_KEY, map._labelsVisible ? 'true' : 'false');
+    if (map._legendControl) {
+        map._legendControl.update();
+    }
+    scheduleEntityLabelLayout(map);
+}
+
+// Function to check whether name labels are switched on (they still only show from labelMinZoom up)
+export function getLabelsVisible(map) {
+    return !!(map && map._labelsVisible);
+}
+
+// ---------------------------------------------------------------------------
+// Hover previews
+// A small tooltip with an entity's name, status, photo count and first photo, shown on
+// hover (or a long press on touch screens without the context menu; with it, the menu shows
+// the preview at its top) so crews don't have to open every popup. The data comes from batch
+// items' preview field or setEntityPreview. The tooltip never takes clicks: clicks still open
+// popups or select and delete entities, and a long press that showed a preview doesn't also
+// count as a tap.
+// ---------------------------------------------------------------------------
+
+var PREVIEW_HOVER_DELAY = 250; // Milliseconds the pointer rests on an entity before the preview opens
+var PREVIEW_LONG_PRESS_DELAY = 500; // Milliseconds a finger must stay down for a preview
+var PREVIEW_TOUCH_TOLERANCE = 20; // Pixels from a long press to the entity it previews
+
+// Function to set up the shared preview tooltip and long-press handling for a map
+function initEntityPreviews(map) {
+    map._previewTooltip = L.tooltip({
+        className: 'map-preview-tooltip',
+        direction: 'top',
+        opacity: 1
+    });
+
+    // Long press: find the entity under the finger with the spatial index, so it works for every renderer
+    var container = map.getContainer();
+    var press = null;
+    var cancelPress = function() {
+        if (press) {
+            clearTimeout(press.timer);
+            press = null;
         }
     };
-    
-    map.on('mouseup', mouseupHandler);
-    
-    // Store handler for cleanup
-    polyline._mouseupHandler = mouseupHandler;
-    
-    // If entityId and dotNetReference are provided, add click handler for selection and deletion
-    if (entityId && dotNetReference) {
-        polyline.on('click', function(e) {
-            if (isDeleteMode) {
-                L.DomEvent.stop(e);
-                // Call C# method to handle the click (for deletion mode)
-                dotNetReference.invokeMethodAsync('OnEntityClick', 'cable', entityId);
-            } else {
-                // Not in delete mode - treat as selection to show/hide vertices
-                dotNetReference.invokeMethodAsync('OnCableSelected', entityId);
+
+    container.addEventListener('pointerdown', function(e) {
+        cancelPress();
+        // A long press opens the context menu instead when it's enabled; the menu shows the preview (see openContextMenu)
+        if (e.pointerType === 'mouse' || map._contextMenu) return;
+
+        press = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY };
+        press.timer = setTimeout(function() {
+            var latLng = map.mouseEventToLatLng(e);
+            press = null;
+
+            var metersPerPixel = map.distance(latLng, map.containerPointToLatLng(map.latLngToContainerPoint(latLng).add([1, 0])));
+            var found = nearest(map, latLng.lat, latLng.lng, null, PREVIEW_TOUCH_TOLERANCE * metersPerPixel);
+            var layer = found ? getEntityLayer(map, found.type, found.id) : null;
+            if (!layer || !layer._entityPreview) return;
+
+            openEntityPreview(map, layer, found.segmentIndex != null ? latLng : null);
+
+            // Swallow the tap that ends the long press so it doesn't also select, delete or open a popup
+            var suppressClick = function(clickEvent) {
+                clickEvent.stopPropagation();
+                container.removeEventListener('click', suppressClick, true);
+            };
+            container.addEventListener('click', suppressClick, true);
+            setTimeout(function() {
+                container.removeEventListener('click', suppressClick, true);
+            }, 1000);
+        }, PREVIEW_LONG_PRESS_DELAY);
+    });
+
+    container.addEventListener('pointermove', function(e) {
+        if (press && e.pointerId === press.pointerId &&
+            Math.abs(e.clientX - press.startX) + Math.abs(e.clientY - press.startY) > 10) {
+            cancelPress(); // Panning, not pressing
+        }
+    });
+    container.addEventListener('pointerup', cancelPress);
+    container.addEventListener('pointercancel', cancelPress);
+
+    // Get out of the way of clicks, popups and drags
+    map.on('click popupopen movestart zoomstart', function() {
+        closeEntityPreview(map);
+    });
+}
+
+// Function to show the hover preview for an entity layer when the mouse rests on it
+function bindEntityPreview(map, layer) {
+    var hoverTimer = null;
+
+    layer.on('mouseover', function(e) {
+        if (!layer._entityPreview || !map._previewTooltip) return;
+
+        clearTimeout(hoverTimer);
+        hoverTimer = setTimeout(function() {
+            // Not while the layer's popup is open or the layer is being dragged
+            if (layer.isPopupOpen && layer.isPopupOpen()) return;
+            if (layer.dragging && layer.dragging.moving && layer.dragging.moving()) return;
+            openEntityPreview(map, layer, layer._entityType === 'cable' ? e.latlng : null);
+        }, PREVIEW_HOVER_DELAY);
+    });
+    layer.on('mouseout click dragstart remove', function() {
+        clearTimeout(hoverTimer);
+        if (map._previewLayer === layer) {
+            closeEntityPreview(map);
+        }
+    });
+}
+
+// Function to build the preview tooltip HTML from { name, status, photoCount, photoUrl }
+function buildEntityPreviewHtml(preview) {
+    var html = '<div class="map-preview">';
+    if (preview.photoUrl) {
+        html += '<img class="map-preview-photo" src="' + escapeHtml(preview.photoUrl) + '" alt="" />';
+    }
+    html += '<div class="map-preview-text">';
+    if (preview.name) {
+        html += '<strong>' + escapeHtml(preview.name) + '</strong>';
+    }
+    if (preview.status) {
+        html += '<div>Status: ' + escapeHtml(preview.status) + '</div>';
+    }
+    // An unknown count (photos failed to load) is left out rather than shown as "No photos"
+    if (preview.photoCount != null) {
+        html += '<div>' + (preview.photoCount > 0
+            ? preview.photoCount + (preview.photoCount === 1 ? ' photo' : ' photos')
+            : 'No photos') + '</div>';
+    }
+    return html + '</div></div>';
+}
+
+// Function to open the preview for a layer, above a point asset or at latLng on a cable
+function openEntityPreview(map, layer, latLng) {
+    var tooltip = map._previewTooltip;
+    var style = getLayerEntityStyle(layer);
+
+    tooltip.options.offset = [0, style ? -style.size / 2 : -6];
+    tooltip.setLatLng(latLng || layer.getLatLng()).setContent(buildEntityPreviewHtml(layer._entityPreview));
+    map.openTooltip(tooltip);
+    map._previewLayer = layer;
+
+    // The photo changes the tooltip's size once it loads
+    var photo = tooltip.getElement() && tooltip.getElement().querySelector('img');
+    if (photo) {
+        photo.addEventListener('load', function() {
+            if (map._previewLayer === layer) {
+                tooltip.update();
             }
         });
     }
-    
-    // Store original coordinates on the polyline for vertex updates
-    polyline._originalLatLngs = originalLatLngs;
-    
-    return polyline;
 }
 
-// Function to make a vertex marker draggable and connect it to a polyline
-// When the vertex is dragged, it updates the polyline and calls C# to update the database
-export function makeVertexDraggable(map, vertexMarker, cableId, vertexIndex, polyline, dotNetReference) {
-    // Make the marker draggable (circleMarker doesn't support draggable option, so we need to use a different approach)
-    // Convert to a marker for draggability
-    var latLng = vertexMarker.getLatLng();
-    var draggableMarker = L.marker(latLng, {
-        draggable: true,
-        icon: L.divIcon({
-            className: 'cable-vertex-marker',
-            html: '<div style="width: 12px; height: 12px; border-radius: 50%; background-color: #ffffff; border: 2px solid #333333; cursor: move;"></div>',
-            iconSize: [12, 12],
-            iconAnchor: [6, 6]
-        })
-    });
-    // Note: Not adding to map initially - will be shown when cable is selected or dragging
-    // This keeps vertices hidden by default
-    
-    // Remove the original circle marker (if it was added to map)
-    if (map.hasLayer(vertexMarker)) {
-        map.removeLayer(vertexMarker);
+// Function to close the preview tooltip
+function closeEntityPreview(map) {
+    if (map._previewTooltip && map.hasLayer(map._previewTooltip)) {
+        map.closeTooltip(map._previewTooltip);
     }
-    
-    // Track the cable and vertex info
-    draggableMarker._cableId = cableId;
-    draggableMarker._vertexIndex = vertexIndex;
-    draggableMarker._polyline = polyline;
-    
-    // Add to polyline's vertex markers array
-    if (!polyline._vertexMarkers) {
-        polyline._vertexMarkers = [];
+    map._previewLayer = null;
+}
+
+// Function to set a layer's preview data (undefined leaves it as it is, null removes it)
+function setLayerPreview(map, layer, preview) {
+    if (preview === undefined) return;
+
+    layer._entityPreview = preview || null;
+    if (map._previewLayer === layer) {
+        closeEntityPreview(map); // Showing old data
     }
-    polyline._vertexMarkers[vertexIndex] = draggableMarker;
-    
-    // Handle drag start - show vertex markers when dragging starts
-    draggableMarker.on('dragstart', function(e) {
-        map.dragging.disable(); // Disable map dragging while dragging the vertex
-        // Show all vertex markers for this cable when dragging starts
-        // This ensures all vertices are visible while editing
-        if (polyline._vertexMarkers) {
-            polyline._vertexMarkers.forEach(function(marker) {
-                if (marker) {
-                    if (!map.hasLayer(marker)) {
-                        marker.addTo(map); // Add marker to map if not already visible
-                    }
+    scheduleEntityListUpdate(map);
+}
+
+// Function to set the hover preview for an entity by id
+// preview: { name, status, photoCount, photoUrl } (null removes the preview); photoCount null means unknown
+// Returns true if the entity is on the map
+export function setEntityPreview(map, entityType, entityId, preview) {
+    var layer = getEntityLayer(map, entityType, entityId);
+    if (!layer) return false;
+
+    setLayerPreview(map, layer, preview || null);
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Keyboard and screen reader access
+// Every vault, midpoint and cable on the map (clustered ones included, legend-hidden ones left out)
+// is listed in a visually hidden list of buttons, sorted by type and then name, which is the map's
+// keyboard path: tabbing into the map shows the list, focusing an entry outlines the entity and pans
+// to it, and Enter does what a click does (opens the popup, or selects/deletes in those modes) and
+// moves focus into the popup; Escape closes the popup and returns to the entry.
+// The list follows the entity registry, labels, previews and styles (see scheduleEntityListUpdate).
+// ---------------------------------------------------------------------------
+
+// Function to describe an entity in words, e.g. "Vault VLT-104, Issue, 3 photos, selected"
+// Used for the entity list and the marker icons' aria-label
+function describeEntity(layer) {
+    var assetType = pointAssetTypes[layer._entityType];
+    var preview = layer._entityPreview || {};
+    var parts = [(assetType ? assetType.name : 'Cable') + ' ' + (layer._entityLabel || preview.name || '#' + layer._entityId)];
+
+    var status = preview.status;
+    if (!status) {
+        // Fall back to the style registry's label for the entity's color (e.g. "Issue", "Orange")
+        var entry = ((getEntityStyles(getEntityLayerMap(layer))[layer._entityType] || {}).colors || []).filter(function(colorEntry) {
+            return colorEntry.color === layer._entityColor;
+        })[0];
+        status = entry ? entry.label : layer._entityColor;
+    }
+    if (status) parts.push(status);
+
+    var badges = layer._entityBadges;
+    var photoCount = badges && badges.photoCount != null ? badges.photoCount : preview.photoCount;
+    if (photoCount === 0) {
+        parts.push('no photos');
+    } else if (photoCount != null) {
+        parts.push(photoCount + (photoCount === 1 ? ' photo' : ' photos'));
+    }
+    if (badges && badges.issue && status !== 'Issue') parts.push('issue flagged');
+    if (layer._isSelected) parts.push('selected');
+
+    return parts.join(', ');
+}
+
+// Function to get where an entity is: a point asset's position or the middle of a cable
+function getEntityLatLng(layer) {
+    if (layer.getLatLng) return layer.getLatLng();
+    return layer._map ? layer.getCenter() : layer.getBounds().getCenter();
+}
+
+// Function to get the element drawn for an entity (SVG icon or path), if it has its own
+// Canvas shapes and markers inside a cluster don't
+function getEntityElement(layer) {
+    return layer._icon || layer._path || null;
+}
+
+// Function to set the text alternative on a marker icon (icons are replaced when their style changes)
+function applyEntityAria(layer) {
+    if (layer._icon) {
+        layer._icon.setAttribute('role', 'img');
+        layer._icon.setAttribute('aria-label', describeEntity(layer));
+    }
+}
+
+// Function to click an entity from the keyboard: zoom into its cluster if needed, then fire the
+// same click a pointer would, so popups, select mode and delete mode all behave as usual
+function activateEntity(map, layer, returnFocusTo) {
+    var click = function() {
+        map._entityListReturnFocus = returnFocusTo;
+        layer.fire('click', { latlng: getEntityLatLng(layer) });
+
+        // Select and delete mode don't open a popup, so focus stays on the list
+        if (!(layer.isPopupOpen && layer.isPopupOpen())) {
+            map._entityListReturnFocus = null;
+        }
+    };
+
+    if (layer._clusterGroup && !layer._icon && !layer._map) {
+        layer._clusterGroup.zoomToShowLayer(layer, click);
+    } else {
+        click();
+    }
+}
+
+// The hidden entity list, kept in sync with the registry by update()
+var EntityListControl = L.Control.extend({
+    options: {
+        position: 'topleft'
+    },
+
+    onAdd: function(map) {
+        var container = L.DomUtil.create('nav', 'leaflet-control-entity-list');
+        container.setAttribute('aria-label', 'Map entities');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this._heading = L.DomUtil.create('div', 'entity-list-heading', container);
+        this._list = L.DomUtil.create('ul', 'entity-list', container);
+        this._buttons = {};
+        this._keys = [];
+        return container;
+    },
+
+    // Function to create the button for one entity (reused while the entity stays on the map)
+    _createButton: function(key) {
+        var map = this._map;
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'entity-list-item';
+        button._entityKey = key;
+
+        button.addEventListener('focus', function() {
+            var layer = button._entityLayer;
+            var latLng = getEntityLatLng(layer);
+            if (!map.getBounds().contains(latLng)) {
+                map.panTo(latLng);
+            }
+            var element = getEntityElement(layer);
+            if (element) L.DomUtil.addClass(element, 'map-entity-focused');
+        });
+        button.addEventListener('blur', function() {
+            var element = getEntityElement(button._entityLayer);
+            if (element) L.DomUtil.removeClass(element, 'map-entity-focused');
+        });
+        // Enter and Space click buttons, so this covers the keyboard too
+        button.addEventListener('click', function() {
+            activateEntity(map, button._entityLayer, button);
+        });
+        // The context menu key (or Shift+F10) opens the entity's context menu
+        button.addEventListener('contextmenu', function(e) {
+            if (!map._contextMenu) return;
+
+            e.preventDefault();
+            var latLng = getEntityLatLng(button._entityLayer);
+            openContextMenu(map, button._entityLayer, latLng, map.latLngToContainerPoint(latLng));
+        });
+        return button;
+    },
+
+    // Function to rebuild the list from the registry, keeping focus on the same entity
+    update: function() {
+        var map = this._map;
+        var entries = [];
+
+        pointAssetTypeOrder.concat(['cable']).forEach(function(entityType, typeIndex) {
+            var registry = getEntityRegistry(map, entityType);
+            Object.keys(registry).forEach(function(id) {
+                var layer = registry[id];
+                if (map._legendHiddenLayers.indexOf(layer) === -1) {
+                    entries.push({ key: entityType + ':' + id, layer: layer, typeIndex: typeIndex, description: describeEntity(layer) });
                 }
             });
+        });
+        entries.sort(function(a, b) {
+            return a.typeIndex - b.typeIndex || a.description.localeCompare(b.description, undefined, { numeric: true });
+        });
+
+        var previous = this._buttons;
+        var buttons = {};
+        var keys = entries.map(function(entry) {
+            var button = previous[entry.key] || this._createButton(entry.key);
+
+            button._entityLayer = entry.layer;
+            if (button.textContent !== entry.description) {
+                button.textContent = entry.description;
+            }
+            if (entry.layer._icon) {
+                entry.layer._icon.setAttribute('role', 'img');
+                entry.layer._icon.setAttribute('aria-label', entry.description);
+            }
+            buttons[entry.key] = button;
+            return entry.key;
+        }, this);
+
+        // Only move elements when the order changed; moving the focused button would drop its focus
+        if (keys.join('|') !== this._keys.join('|')) {
+            var focused = document.activeElement && this._list.contains(document.activeElement) ? document.activeElement._entityKey : null;
+            var fragment = document.createDocumentFragment();
+            keys.forEach(function(key) {
+                var item = document.createElement('li');
+                item.appendChild(buttons[key]);
+                fragment.appendChild(item);
+            });
+            this._list.innerHTML = '';
+            this._list.appendChild(fragment);
+
+            if (focused && buttons[focused]) {
+                buttons[focused].focus();
+            }
         }
-        // Also ensure this marker is visible
-        if (!map.hasLayer(draggableMarker)) {
-            draggableMarker.addTo(map);
+
+        this._buttons = buttons;
+        this._keys = keys;
+        this._heading.textContent = keys.length === 1 ? '1 entity on the map' : keys.length + ' entities on the map';
+    }
+});
+
+// Function to set up the entity list and popup focus handling for a map
+function initEntityAccess(map) {
+    map._entityList = new EntityListControl();
+    map.addControl(map._entityList);
+
+    // Marker icons are created again when clusters split or the icon changes
+    map.on('layeradd', function(e) {
+        if (e.layer._entityType) applyEntityAria(e.layer);
+    });
+
+    // A popup opened from the list gets the focus: its first action, button or link, or its close button
+    map.on('popupopen', function(e) {
+        if (!map._entityListReturnFocus) return;
+
+        var element = e.popup.getElement();
+        var target = element.querySelector('.leaflet-popup-content [data-action]') ||
+            element.querySelector('.leaflet-popup-content button, .leaflet-popup-content a[href], .leaflet-popup-content input, .leaflet-popup-content select') ||
+            element.querySelector('.leaflet-popup-close-button');
+        if (target) target.focus();
+
+        if (!element._entityListKeys) {
+            element._entityListKeys = true;
+            element.addEventListener('keydown', function(keyEvent) {
+                if (keyEvent.key === 'Escape') {
+                    keyEvent.stopPropagation();
+                    map.closePopup();
+                }
+            });
         }
-        // Notify C# that dragging started so it can track selection state
-        if (dotNetReference) {
-            dotNetReference.invokeMethodAsync('OnCableVertexDragStart', cableId);
+    });
+
+    map.on('popupclose', function() {
+        var button = map._entityListReturnFocus;
+        map._entityListReturnFocus = null;
+        // Only when focus was in the popup (it may still be fading out) or was dropped with it
+        var active = document.activeElement;
+        if (button && document.body.contains(button) && (!active || active === document.body || active.closest('.leaflet-popup'))) {
+            button.focus();
         }
     });
-    
-    // Handle drag - update the polyline in real-time
-    draggableMarker.on('drag', function(e) {
-        if (polyline) {
-            var newLatLng = draggableMarker.getLatLng();
-            var latLngs = polyline.getLatLngs();
-            
-            // Update the coordinate at the vertex index
-            if (latLngs && latLngs[vertexIndex] !== undefined) {
-                latLngs[vertexIndex] = newLatLng;
-                polyline.setLatLngs(latLngs);
-            }
+
+    scheduleEntityListUpdate(map);
+}
+
+// Function to update the entity list once per frame, however many entities changed
+function scheduleEntityListUpdate(map) {
+    if (!map || !map._entityList || map._entityListPending) return;
+
+    map._entityListPending = true;
+    requestAnimationFrame(function() {
+        map._entityListPending = false;
+        if (map._entityList._map) {
+            map._entityList.update();
         }
     });
-    
-    // Handle drag end - update the database
-    draggableMarker.on('dragend', function(e) {
-        map.dragging.enable(); // Re-enable map dragging
-        
-        var newLatLng = draggableMarker.getLatLng();
-        var newLat = newLatLng.lat;
-        var newLng = newLatLng.lng;
-        
-        // Call C# method to update the cable vertex in the database
-        if (dotNetReference) {
-            dotNetReference.invokeMethodAsync('OnCableVertexDragEnd', cableId, vertexIndex, newLat, newLng);
+}
+
+// Function to get the map an entity layer belongs to (also while it's clustered or hidden by the legend)
+function getEntityLayerMap(layer) {
+    return layer._entityMap || layer._map || (layer._clusterGroup && layer._clusterGroup._map) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Context menu
+// Right-click (or a long press on touch screens) opens a small menu. On the empty map it offers
+// Add vault here, Add midpoint here, Start cable here and Copy coordinates; on a vault, midpoint
+// or cable it offers Edit, Open details, Select, Delete and Zoom to. Actions are sent to C#
+// (OnMapContextAction / OnEntityContextAction) except Copy coordinates and Zoom to, which are
+// done here. While the menu is enabled a long press opens it instead of the hover preview, so
+// an entity's menu starts with its preview (photo, status and photo count) in place of the title.
+// ---------------------------------------------------------------------------
+
+var MAP_CONTEXT_ACTIONS = [
+    { action: 'add-vault', label: 'Add vault here' },
+    { action: 'add-midpoint', label: 'Add midpoint here' },
+    { action: 'start-cable', label: 'Start cable here' },
+    { action: 'copy-coordinates', label: 'Copy coordinates' }
+];
+
+var ENTITY_CONTEXT_ACTIONS = [
+    { action: 'edit', label: 'Edit' },
+    { action: 'details', label: 'Open details' },
+    { action: 'select', label: 'Select' },
+    { action: 'delete', label: 'Delete' },
+    { action: 'zoom-to', label: 'Zoom to' }
+];
+
+// Function to add the context menu to the map
+// dotNetReference: The .NET object reference to invoke OnMapContextAction(action, lat, lng) and
+// OnEntityContextAction(action, entityType, entityId); a point asset's Edit runs its type's edit callback
+export function addContextMenuListener(map, dotNetReference) {
+    map._contextMenu = { dotNetReference: dotNetReference, element: null, returnFocus: null };
+
+    // Entity layers stop their contextmenu event (see bindEntityContextMenu), so this is the empty map
+    map.on('contextmenu', function(e) {
+        L.DomEvent.preventDefault(e.originalEvent);
+        openContextMenu(map, null, e.latlng, e.containerPoint);
+    });
+    map.on('click movestart zoomstart popupopen', function() {
+        closeContextMenu(map, false);
+    });
+}
+
+// Function to open the entity menu on right-click of an entity layer (once the context menu is added)
+function bindEntityContextMenu(map, layer) {
+    layer.on('contextmenu', function(e) {
+        if (!map._contextMenu) return;
+
+        L.DomEvent.stop(e); // Not the map's menu as well
+        L.DomEvent.preventDefault(e.originalEvent);
+        openContextMenu(map, layer, e.latlng, e.containerPoint);
+    });
+}
+
+// Function to show the menu at a container point, for an entity layer or (layer null) the map location latLng
+function openContextMenu(map, layer, latLng, containerPoint) {
+    var menu = map._contextMenu;
+    closeContextMenu(map, false);
+    closeEntityPreview(map);
+
+    var element = L.DomUtil.create('div', 'map-context-menu', map.getContainer());
+    element.setAttribute('role', 'menu');
+    L.DomEvent.disableClickPropagation(element);
+    L.DomEvent.disableScrollPropagation(element);
+    L.DomEvent.on(element, 'contextmenu', L.DomEvent.stop);
+
+    var title = L.DomUtil.create('div', 'map-context-menu-title', element);
+    title.textContent = layer ? describeEntity(layer) : latLng.lat.toFixed(6) + ', ' + latLng.lng.toFixed(6);
+    element.setAttribute('aria-label', title.textContent);
+    if (layer && layer._entityPreview) {
+        // Touch screens get the preview here, since a long press opens this menu
+        L.DomUtil.addClass(title, 'map-context-menu-preview');
+        title.innerHTML = buildEntityPreviewHtml(layer._entityPreview);
+    }
+
+    var items = (layer ? ENTITY_CONTEXT_ACTIONS : MAP_CONTEXT_ACTIONS).map(function(entry) {
+        var item = L.DomUtil.create('button', 'map-context-menu-item', element);
+        item.type = 'button';
+        item.setAttribute('role', 'menuitem');
+        item.textContent = entry.label;
+        L.DomEvent.on(item, 'click', function(e) {
+            L.DomEvent.stop(e);
+            closeContextMenu(map, false);
+            runContextAction(map, entry.action, layer, latLng);
+        });
+        return item;
+    });
+
+    // Arrow keys move between items, Escape and Tab close the menu
+    L.DomEvent.on(element, 'keydown', function(e) {
+        var index = items.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            L.DomEvent.preventDefault(e);
+            var step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length].focus();
+        } else if (e.key === 'Escape') {
+            L.DomEvent.stop(e);
+            closeContextMenu(map, true);
+        } else if (e.key === 'Tab') {
+            closeContextMenu(map, false);
         }
-        
-        // After drag ends, hide vertices if cable is not selected
-        // The C# method will handle showing/hiding based on selection state
-        if (dotNetReference) {
-            dotNetReference.invokeMethodAsync('OnCableVertexDragEndComplete', cableId);
+    });
+
+    // Just beside the pointer (so the finger lifting after a long press isn't on an item), kept inside the map
+    var size = map.getSize();
+    var x = Math.max(0, Math.min(containerPoint.x + 2, size.x - element.offsetWidth - 4));
+    var y = Math.max(0, Math.min(containerPoint.y + 2, size.y - element.offsetHeight - 4));
+    element.style.left = x + 'px';
+    element.style.top = y + 'px';
+
+    // Pressing anywhere else closes it
+    menu.outsideHandler = function(e) {
+        if (!element.contains(e.target)) {
+            closeContextMenu(map, false);
+        }
+    };
+    document.addEventListener('pointerdown', menu.outsideHandler, true);
+
+    menu.element = element;
+    menu.returnFocus = document.activeElement;
+    items[0].focus();
+}
+
+// Function to close the context menu; returnFocus puts focus back where it was when the menu opened
+function closeContextMenu(map, returnFocus) {
+    var menu = map._contextMenu;
+    if (!menu || !menu.element) return;
+
+    document.removeEventListener('pointerdown', menu.outsideHandler, true);
+    L.DomUtil.remove(menu.element);
+    menu.element = null;
+
+    if (returnFocus && menu.returnFocus && menu.returnFocus.focus && document.body.contains(menu.returnFocus)) {
+        menu.returnFocus.focus();
+    }
+    menu.returnFocus = null;
+}
+
+// Function to run a context menu action
+function runContextAction(map, action, layer, latLng) {
+    var dotNetReference = map._contextMenu.dotNetReference;
+
+    if (!layer) {
+        if (action === 'copy-coordinates') {
+            copyText(latLng.lat.toFixed(6) + ', ' + latLng.lng.toFixed(6));
+        } else {
+            dotNetReference.invokeMethodAsync('OnMapContextAction', action, latLng.lat, latLng.lng);
+        }
+        return;
+    }
+
+    var entityType = layer._entityType;
+    var assetType = pointAssetTypes[entityType];
+    if (action === 'zoom-to') {
+        var latLngs = layer.getLatLng ? [layer.getLatLng()] : layer.getLatLngs();
+        navigateToLocations(map, latLngs.map(function(point) { return [point.lat, point.lng]; }));
+    } else if (action === 'edit' && assetType) {
+        invokePointAssetCallback(layer, assetType.callbacks.edit, dotNetReference, [entityType, layer._entityId]);
+    } else {
+        dotNetReference.invokeMethodAsync('OnEntityContextAction', action, entityType, layer._entityId);
+    }
+}
+
+// Function to copy text to the clipboard, falling back to a hidden text area where the Clipboard API isn't
+// available (it needs HTTPS)
+function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        navigator.clipboard.writeText(text).catch(function(error) {
+            console.warn('Error copying to the clipboard:', error);
+        });
+        return;
+    }
+
+    var textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.setAttribute('readonly', '');
+    textArea.style.position = 'fixed';
+    textArea.style.opacity = '0';
+    document.body.appendChild(textArea);
+    textArea.select();
+    try {
+        document.execCommand('copy');
+    } catch (error) {
+        console.warn('Error copying to the clipboard:', error);
+    }
+    document.body.removeChild(textArea);
+}
+
+// ---------------------------------------------------------------------------
+// Map modes
+// Each map is in exactly one interaction mode at a time: view, select, delete, add-vault,
+// add-midpoint, draw-cable or measure. setMapMode runs the old mode's exit hook and the new
+// mode's enter hook, puts the mode's cursor class on the map container and reports the change
+// ('modechange' on the map, OnMapModeChanged in C#). Click handlers ask isMapMode, so two maps
+// on one page never share a mode. Escape on the map goes back to view mode.
+// ---------------------------------------------------------------------------
+
+// Mode registry: cursor class suffix (map-cursor-*) and optional enter/exit hooks called with the map
+var MAP_MODES = {
+    'view': { cursor: 'default' },
+    'select': { cursor: 'pointer', enter: closeModePopup },
+    'delete': { cursor: 'pointer', enter: closeModePopup },
+    'add-vault': { cursor: 'crosshair' },
+    'add-midpoint': { cursor: 'crosshair' },
+    'draw-cable': { cursor: 'crosshair' },
+    'measure': { cursor: 'crosshair', enter: startMeasuring, exit: stopMeasuring }
+};
+
+// Function to put a new map in view mode (called by initMap)
+function initMapModes(map) {
+    map._mode = 'view';
+    L.DomUtil.addClass(map.getContainer(), 'map-cursor-' + MAP_MODES.view.cursor);
+
+    // Popups and the context menu handle their own Escape and stop it before it gets here
+    L.DomEvent.on(map.getContainer(), 'keydown', function(e) {
+        if (e.key === 'Escape' && !e.defaultPrevented && !isMapMode(map, 'view')) {
+            setMapMode(map, 'view');
         }
     });
-    
-    // Prevent vertex marker clicks from triggering cable deletion
-    draggableMarker.on('click', function(e) {
-        if (isDeleteMode) {
-            L.DomEvent.stop(e);
-            // Don't delete on vertex click - only on cable line click
+}
+
+// Function to register the .NET object that receives OnMapModeChanged(mode, previousMode)
+export function addModeChangeListener(map, dotNetReference) {
+    if (map) {
+        map._modeDotNetReference = dotNetReference;
+    }
+}
+
+// Function to get the map's current mode name ('view' until setMapMode is called)
+export function getMapMode(map) {
+    return (map && map._mode) || 'view';
+}
+
+// Function to check whether the map is in the given mode
+function isMapMode(map, mode) {
+    return getMapMode(map) === mode;
+}
+
+// Function to switch the map to another mode (one of the MAP_MODES names)
+// Returns false if the mode is unknown or the map is already in it
+export function setMapMode(map, mode) {
+    if (!map) return false;
+    if (!MAP_MODES[mode]) {
+        console.warn('Unknown map mode:', mode);
+        return false;
+    }
+
+    var previousMode = getMapMode(map);
+    if (previousMode === mode) return false;
+
+    var container = map.getContainer();
+    var previous = MAP_MODES[previousMode];
+    var next = MAP_MODES[mode];
+
+    try {
+        if (previous.exit) previous.exit(map);
+    } catch (error) {
+        console.warn('Error leaving map mode ' + previousMode + ':', error);
+    }
+    L.DomUtil.removeClass(container, 'map-cursor-' + previous.cursor);
+
+    map._mode = mode;
+    L.DomUtil.addClass(container, 'map-cursor-' + next.cursor);
+    try {
+        if (next.enter) next.enter(map);
+    } catch (error) {
+        console.warn('Error entering map mode ' + mode + ':', error);
+    }
+
+    map.fire('modechange', { mode: mode, previousMode: previousMode });
+    if (map._modeDotNetReference) {
+        map._modeDotNetReference.invokeMethodAsync('OnMapModeChanged', mode, previousMode);
+    }
+    return true;
+}
+
+// Function to close the open popup when entering a mode where clicks select entities
+function closeModePopup(map) {
+    map.closePopup();
+}
+
+// Function to start measuring: each map click adds a point to a dashed line and the running total
+// is shown beside the last point. Double-click zoom is off meanwhile so quick clicks aren't lost.
+function startMeasuring(map) {
+    var measure = {
+        points: [],
+        meters: 0,
+        layer: L.layerGroup().addTo(map),
+        line: L.polyline([], { color: '#FF6600', weight: 3, dashArray: '6 6', interactive: false }),
+        tooltip: L.tooltip({ permanent: true, direction: 'right', offset: [8, 0], className: 'map-measure-tooltip' })
+    };
+    measure.layer.addLayer(measure.line);
+
+    measure.onClick = function(e) {
+        if (measure.points.length) {
+            measure.meters += map.distance(measure.points[measure.points.length - 1], e.latlng);
         }
-    });
-    
-    return draggableMarker;
+        measure.points.push(e.latlng);
+        measure.line.setLatLngs(measure.points);
+
+        L.circleMarker(e.latlng, {
+            radius: 4,
+            color: '#FF6600',
+            weight: 2,
+            fillColor: '#FFFFFF',
+            fillOpacity: 1,
+            interactive: false
+        }).addTo(measure.layer);
+
+        measure.tooltip
+            .setLatLng(e.latlng)
+            .setContent(measure.points.length > 1 ? formatMeasuredDistance(map, measure.meters) : 'Click the next point');
+        if (!measure.layer.hasLayer(measure.tooltip)) {
+            measure.layer.addLayer(measure.tooltip);
+        }
+    };
+
+    map.on('click', measure.onClick);
+    map.doubleClickZoom.disable();
+    map._measure = measure;
+}
+
+// Function to end the measurement and remove its line, points and total
+function stopMeasuring(map) {
+    var measure = map._measure;
+    if (!measure) return;
+
+    map.off('click', measure.onClick);
+    map.removeLayer(measure.layer);
+    map.doubleClickZoom.enable();
+    map._measure = null;
+}
+
+// Function to format a measured distance in the scale bar's units (m/km or ft/mi)
+function formatMeasuredDistance(map, meters) {
+    if (map._scaleUnits === 'imperial') {
+        var feet = meters * 3.2808399;
+        return feet < 5280 ? Math.round(feet) + ' ft' : (feet / 5280).toFixed(2) + ' mi';
+    }
+    return meters < 1000 ? Math.round(meters) + ' m' : (meters / 1000).toFixed(2) + ' km';
 }
 
 // Note: Selection is now handled directly by clicking markers/circles in Select mode
@@ -724,50 +4712,60 @@ export function makeVertexDraggable(map, vertexMarker, cableId, vertexIndex, pol
 
 // Function to update marker selection visual state
 // This is called from C# to update the marker highlight after selection changes
+// The marker's icon (or canvas shape) records the type and color it shows, so only the highlight changes
 export function setMarkerSelection(layer, isSelected) {
     if (!layer) return;
-    
-    // Get the current icon
-    var currentIcon = layer.options.icon;
-    if (!currentIcon || !currentIcon.options) return;
-    
-    // Get the color from the current icon HTML (extract from SVG)
-    var currentHtml = currentIcon.options.html;
-    if (!currentHtml) return;
-    
-    // Extract color from the SVG fill attribute
-    var fillMatch = currentHtml.match(/fill="([^"]+)"/);
-    if (!fillMatch) return;
-    
-    var color = fillMatch[1];
-    
-    // Create new icon with selection state
-    var newIcon = createColoredIcon(color, isSelected);
-    layer.setIcon(newIcon);
+
+    var shown = getLayerEntityStyle(layer);
+    if (!shown) return;
+
+    setPointLayerStyle(getEntityLayerMap(layer), layer, shown.type, shown.color, isSelected);
+
+    // Clusters show a highlight when they hold a selected marker
+    layer._isSelected = isSelected;
+    refreshMarkerCluster(layer);
+
+    // Selected entities' labels are placed first
+    if (layer._map) {
+        scheduleEntityLabelLayout(layer._map);
+    }
 }
 
-// Function to update circle marker selection visual state
-// This is called from C# to update the marker highlight after selection changes
-export function setCircleSelection(layer, isSelected) {
+// Function to set the badges on a vault or midpoint marker: { photoCount, issue } (null removes them)
+// photoCount shows a count badge, 0 a "no photos" mark and null none; issue adds the issue flag
+// Like setMarkerSelection, the marker keeps its type, color and highlight
+export function setMarkerBadges(layer, badges) {
     if (!layer) return;
-    
-    // Get the current icon
-    var currentIcon = layer.options.icon;
-    if (!currentIcon || !currentIcon.options) return;
-    
-    // Get the color from the current icon HTML (extract from SVG)
-    var currentHtml = currentIcon.options.html;
-    if (!currentHtml) return;
-    
-    // Extract color from the SVG fill attribute
-    var fillMatch = currentHtml.match(/fill="([^"]+)"/);
-    if (!fillMatch) return;
-    
-    var color = fillMatch[1];
-    
-    // Create new icon with selection state
-    var newIcon = createColoredMidpointIcon(color, isSelected);
-    layer.setIcon(newIcon);
+
+    var shown = getLayerEntityStyle(layer);
+    if (!shown) return;
+
+    layer._entityBadges = getEntityBadges(badges);
+    setPointLayerStyle(getEntityLayerMap(layer), layer, shown.type, shown.color, shown.selected);
+}
+
+// Function to update midpoint marker selection visual state
+// Midpoint and vault markers are styled the same way, so this is setMarkerSelection under its older name
+export function setCircleSelection(layer, isSelected) {
+    setMarkerSelection(layer, isSelected);
+}
+
+// Function to restyle a cable from its map's style registry after its color or the theme changed
+// A selected cable keeps its highlight and gets the new style back when it is unselected
+function applyCableStyle(map, polyline) {
+    var style = getEntityStyle(map, 'cable', polyline._entityColor);
+    var lineStyle = { color: style.fill, weight: style.weight, opacity: style.opacity, dashArray: style.dashArray };
+
+    if (polyline._originalStyle) {
+        // setPolylineSelection restores this style when the cable is unselected
+        polyline._originalStyle = lineStyle;
+    }
+    if (polyline._isSelected) {
+        setPolylineSelection(polyline, true);
+    } else {
+        polyline.setStyle(lineStyle);
+    }
+    scheduleEntityListUpdate(map);
 }
 
 // Function to update polyline selection visual state (e.g., cables).
@@ -786,10 +4784,16 @@ export function setPolylineSelection(layer, isSelected) {
             };
         }
 
+        layer._isSelected = isSelected;
+        if (layer._map) {
+            scheduleEntityLabelLayout(layer._map);
+            scheduleEntityListUpdate(layer._map);
+        }
+
         if (isSelected) {
-            // High-contrast highlight (gold + thicker line)
+            // High-contrast highlight (selection color, gold by default + thicker line)
             layer.setStyle({
-                color: '#FFD700',
+                color: getEntityStyles(getEntityLayerMap(layer)).selection.stroke,
                 weight: Math.max(6, (layer._originalStyle.weight || 4) + 2),
                 opacity: 1,
                 dashArray: null
@@ -808,10 +4812,686 @@ export function setPolylineSelection(layer, isSelected) {
     }
 }
 
+// ---------------------------------------------------------------------------
+// Map legend
+// A collapsible control listing the vault and midpoint statuses and cable colors from
+// the style registry. Clicking an entry hides or shows that category on the map.
+// ---------------------------------------------------------------------------
+
+var LEGEND_COLLAPSED_STORAGE_KEY = 'foms-legend-collapsed';
+
+// Function to get the legend groups (one per entity type) from a map's style registry
+function getLegendGroups(map) {
+    var styles = getEntityStyles(map);
+    return pointAssetTypeOrder.concat(['cable']).filter(function(entityType) {
+        return styles[entityType]; // Types registered after the map was created aren't in its registry
+    }).map(function(entityType) {
+        var style = styles[entityType];
+        return { title: style.title, type: entityType, entries: style.colors || [] };
+    });
+}
+
+// Function to get the key used to track a hidden category (e.g. 'vault:Blue')
+function getCategoryKey(type, color) {
+    return type + ':' + color;
+}
+
+// Function to tag a vault, midpoint or cable layer with what it represents
+// Used by clustering, the legend (category visibility) and map export; call before addEntityLayer
+function registerEntityLayer(layer, entityType, entityId, color) {
+    layer._entityType = entityType;
+    layer._entityId = entityId;
+    layer._entityColor = color;
+}
+
+// Function to take a layer (and a cable's vertex markers) off the map for a hidden legend category
+function hideCategoryLayer(map, layer) {
+    var container = getLayerContainer(map, layer);
+    if (container.hasLayer(layer)) {
+        container.removeLayer(layer);
+    }
+    (layer._vertexMarkers || []).forEach(function(vertexMarker) {
+        if (vertexMarker && map.hasLayer(vertexMarker)) {
+            map.removeLayer(vertexMarker);
+            vertexMarker._hiddenByLegend = true;
+        }
+    });
+    map._legendHiddenLayers.push(layer);
+}
+
+// Function to hide or show every vault, midpoint or cable of one color
+// Returns true if the visibility changed
+export function setCategoryVisible(map, entityType, color, visible) {
+    if (!map || !map._hiddenCategories) return false;
+
+    var key = getCategoryKey(entityType, color);
+    if (!visible === !!map._hiddenCategories[key]) return false;
+
+    if (visible) {
+        delete map._hiddenCategories[key];
+
+        // Put back the layers this category hid
+        map._legendHiddenLayers = map._legendHiddenLayers.filter(function(layer) {
+            if (layer._entityType !== entityType || layer._entityColor !== color) return true;
+
+            getLayerContainer(map, layer).addLayer(layer);
+            (layer._vertexMarkers || []).forEach(function(vertexMarker) {
+                if (vertexMarker && vertexMarker._hiddenByLegend) {
+                    vertexMarker.addTo(map);
+                    vertexMarker._hiddenByLegend = false;
+                }
+            });
+            return false;
+        });
+    } else {
+        map._hiddenCategories[key] = true;
+
+        var layers = [];
+        forEachEntityLayer(map, function(layer) {
+            if (layer._entityType === entityType && layer._entityColor === color) {
+                layers.push(layer);
+            }
+        });
+        layers.forEach(function(layer) {
+            hideCategoryLayer(map, layer);
+        });
+    }
+
+    if (map._legendControl) {
+        map._legendControl.update();
+    }
+    scheduleEntityListUpdate(map);
+    return true;
+}
+
+// Function to build the small SVG symbol shown next to a legend entry (with the theme's glyph or dash pattern)
+function getLegendSymbolSvg(map, entityType, color) {
+    var style = getEntityStyle(map, entityType, color);
+    if (entityType === 'cable') {
+        // Dash patterns are scaled down to fit the 16px symbol
+        var dash = style.dashArray ? ' stroke-dasharray="' + String(style.dashArray).split(/[\s,]+/).map(function(length) { return +length / 2; }).join(' ') + '"' : '';
+        return '<svg width="16" height="16" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">' +
+            '<line x1="1" y1="8" x2="15" y2="8" stroke="' + style.fill + '" stroke-width="4"' + dash + '/></svg>';
+    }
+    return getShapeSvg(style.shape, 16, style.fill, '#666666', 0.5, style.glyph, style.glyphColor).replace('<svg ', '<svg aria-hidden="true" ');
+}
+
+// Leaflet control showing the legend; the header collapses it and each entry toggles its category
+var LegendControl = L.Control.extend({
+    options: { position: 'bottomright' },
+
+    onAdd: function(map) {
+        var control = this;
+        var container = L.DomUtil.create('div', 'leaflet-control-legend leaflet-bar');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        var header = L.DomUtil.create('button', 'legend-header', container);
+        header.type = 'button';
+        L.DomEvent.on(header, 'click', function() {
+            control._setCollapsed(!control._collapsed);
+        });
+
+        var body = L.DomUtil.create('div', 'legend-body', container);
+        this._entryList = L.DomUtil.create('div', 'legend-entries', body);
+
+        // Theme picker (see MAP_THEMES); the choice is saved for the signed-in user
+        var themeLabel = L.DomUtil.create('label', 'legend-theme', body);
+        themeLabel.appendChild(document.createTextNode('Theme '));
+        var themeSelect = L.DomUtil.create('select', 'legend-theme-select', themeLabel);
+        getMapThemes().forEach(function(theme) {
+            var option = L.DomUtil.create('option', '', themeSelect);
+            option.value = theme.id;
+            option.textContent = theme.name;
+        });
+        L.DomEvent.on(themeSelect, 'change', function() {
+            setMapTheme(map, themeSelect.value);
+        });
+
+        // Name labels on/off (see Entity labels)
+        var labelsToggle = L.DomUtil.create('label', 'legend-labels', body);
+        var labelsCheckbox = L.DomUtil.create('input', '', labelsToggle);
+        labelsCheckbox.type = 'checkbox';
+        labelsToggle.appendChild(document.createTextNode(' Labels'));
+        labelsToggle.title = 'Show names from zoom level ' + map._labelMinZoom;
+        L.DomEvent.on(labelsCheckbox, 'change', function() {
+            setLabelsVisible(map, labelsCheckbox.checked);
+        });
+
+        this._header = header;
+        this._body = body;
+        this._themeSelect = themeSelect;
+        this._labelsCheckbox = labelsCheckbox;
+
+        var collapsed = false;
+        try {
+            collapsed = localStorage.getItem(LEGEND_COLLAPSED_STORAGE_KEY) === 'true';
+        } catch (error) {
+            // Storage unavailable - start expanded
+        }
+        this._setCollapsed(collapsed);
+        this.rebuild();
+        return container;
+    },
+
+    // Rebuilds the entries from the style registry (after a theme change)
+    rebuild: function() {
+        var control = this;
+        var map = this._map;
+        var list = this._entryList;
+        list.innerHTML = '';
+        this._entries = [];
+        getLegendGroups(map).forEach(function(group) {
+            var title = L.DomUtil.create('div', 'legend-group-title', list);
+            title.textContent = group.title;
+
+            group.entries.forEach(function(entry) {
+                var button = L.DomUtil.create('button', 'legend-entry', list);
+                button.type = 'button';
+                button.innerHTML = getLegendSymbolSvg(map, group.type, entry.color) + '<span>' + escapeHtml(entry.label) + '</span>';
+                L.DomEvent.on(button, 'click', function() {
+                    var hidden = !!map._hiddenCategories[getCategoryKey(group.type, entry.color)];
+                    setCategoryVisible(map, group.type, entry.color, hidden);
+                });
+                control._entries.push({ button: button, type: group.type, entry: entry, groupTitle: group.title });
+            });
+        });
+
+        this._themeSelect.value = getActiveMapTheme(map);
+        this.update();
+    },
+
+    _setCollapsed: function(collapsed) {
+        this._collapsed = collapsed;
+        this._body.style.display = collapsed ? 'none' : '';
+        this._header.innerHTML = '<i class="bi bi-list-ul"></i> Legend <i class="bi ' + (collapsed ? 'bi-chevron-up' : 'bi-chevron-down') + '"></i>';
+        this._header.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+        writePreference(LEGEND_COLLAPSED_STORAGE_KEY, collapsed ? 'true' : 'false');
+    },
+
+    // Refreshes which entries are shown as hidden and the labels checkbox
+    update: function() {
+        var map = this._map;
+        this._labelsCheckbox.checked = !!map._labelsVisible;
+        this._entries.forEach(function(item) {
+            var hidden = !!map._hiddenCategories[getCategoryKey(item.type, item.entry.color)];
+            L.DomUtil[hidden ? 'addClass' : 'removeClass'](item.button, 'legend-entry-hidden');
+            item.button.setAttribute('aria-pressed', hidden ? 'false' : 'true');
+            item.button.title = (hidden ? 'Show ' : 'Hide ') + item.groupTitle.toLowerCase() + ': ' + item.entry.label;
+        });
+    }
+});
+
+// Function to add the legend control
+function addLegendControl(map) {
+    map._legendControl = new LegendControl().addTo(map);
+}
+
+// ---------------------------------------------------------------------------
+// Map export
+// Renders the current view (tiles, cables, vaults, midpoints) onto a canvas with a
+// legend, north arrow, scale bar and title block, then saves it as PNG or PDF
+// through window.downloadFile. Everything is drawn client-side.
+// ---------------------------------------------------------------------------
+
+var EXPORT_TITLE_BLOCK_HEIGHT = 70;
+
+// Function to load an image (tile URL, object URL or SVG data URL) for drawing on a canvas
+function loadImage(src) {
+    return new Promise(function(resolve, reject) {
+        var image = new Image();
+        image.onload = function() { resolve(image); };
+        image.onerror = reject;
+        image.src = src;
+    });
+}
+
+// Function to draw the loaded tiles of a tile layer where they currently sit on screen
+// Layers without CORS are skipped because they would taint the canvas
+function drawTileLayer(ctx, map, layer) {
+    if (!layer || !map.hasLayer(layer) || !layer._tiles || layer.options.crossOrigin === false) return;
+
+    var containerRect = map.getContainer().getBoundingClientRect();
+    ctx.save();
+    ctx.globalAlpha = layer.options.opacity != null ? layer.options.opacity : 1;
+    Object.keys(layer._tiles).forEach(function(key) {
+        var tile = layer._tiles[key];
+        if (!tile.current || !tile.loaded || !tile.el.complete || !tile.el.naturalWidth) return;
+
+        var rect = tile.el.getBoundingClientRect();
+        ctx.drawImage(tile.el, rect.left - containerRect.left, rect.top - containerRect.top, rect.width, rect.height);
+    });
+    ctx.restore();
+}
+
+// Function to draw a cable polyline in its current style
+function drawCable(ctx, map, polyline) {
+    var points = polyline.getLatLngs().map(function(latlng) {
+        return map.latLngToContainerPoint(latlng);
+    });
+    if (points.length < 2) return;
+
+    ctx.save();
+    ctx.strokeStyle = polyline.options.color;
+    ctx.lineWidth = polyline.options.weight || 4;
+    ctx.globalAlpha = polyline.options.opacity != null ? polyline.options.opacity : 1;
+    if (polyline.options.dashArray) {
+        ctx.setLineDash(String(polyline.options.dashArray).split(/[\s,]+/).map(Number));
+    }
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (var i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Function to draw a vault or midpoint marker from its SVG icon
+function drawMarkerIcon(ctx, map, marker) {
+    if (isCanvasShape(marker)) {
+        marker.drawShape(ctx, map.latLngToContainerPoint(marker.getLatLng()));
+        return Promise.resolve();
+    }
+
+    var iconOptions = marker.options.icon && marker.options.icon.options;
+    if (!iconOptions || !iconOptions.html) return Promise.resolve();
+
+    var point = map.latLngToContainerPoint(marker.getLatLng());
+    var size = iconOptions.iconSize || [24, 24];
+    var anchor = iconOptions.iconAnchor || [size[0] / 2, size[1] / 2];
+
+    return loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(iconOptions.html))
+        .then(function(image) {
+            ctx.drawImage(image, point.x - anchor[0], point.y - anchor[1], size[0], size[1]);
+            // The image is cut off at the icon box, so badges overflowing it are drawn again on top
+            if (iconOptions.entity) {
+                drawShapeBadges(ctx, iconOptions.entity, point.x, point.y);
+            }
+        })
+        .catch(function() {
+            // Icons without SVG (e.g. plain HTML) are left out of the export
+        });
+}
+
+// Function to draw a marker cluster as a circle with its marker count
+function drawCluster(ctx, map, cluster) {
+    var point = map.latLngToContainerPoint(cluster.getLatLng());
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 16, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#000000';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(cluster.getChildCount()), point.x, point.y);
+    ctx.restore();
+}
+
+// Function to draw a legend symbol: the entity's shape (with any status glyph) for vaults and midpoints, a line for cables
+function drawLegendSymbol(ctx, map, type, color, x, y) {
+    var style = getEntityStyle(map, type, color);
+    ctx.save();
+    ctx.fillStyle = style.fill;
+    ctx.strokeStyle = style.fill;
+    if (type === 'cable') {
+        ctx.lineWidth = 4;
+        if (style.dashArray) {
+            ctx.setLineDash(String(style.dashArray).split(/[\s,]+/).map(function(length) { return +length / 2; }));
+        }
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + 12, y);
+        ctx.stroke();
+    } else {
+        // The shape centered in a 12 x 12 box
+        var shape = style.shape;
+        var anchor = getShapeAnchor(shape, 12);
+        traceShapePath(ctx, shape, 12, x + anchor[0], y - 6 + anchor[1]);
+        ctx.fill();
+        ctx.strokeStyle = '#666666';
+        ctx.lineWidth = 0.5;
+        ctx.stroke();
+        if (style.glyph) {
+            drawShapeGlyph(ctx, shape, 12, x + anchor[0], y - 6 + anchor[1], style.glyph, style.glyphColor);
+        }
+    }
+    ctx.restore();
+}
+
+// Function to build the legend groups for an export
+// Vault and midpoint statuses are always listed; cables only list the colors on the map
+function getExportLegendGroups(map) {
+    var cableColors = {};
+    map.eachLayer(function(layer) {
+        if (layer._entityType === 'cable') {
+            cableColors[layer._entityColor] = true;
+        }
+    });
+
+    var groups = getLegendGroups(map);
+    var cableGroup = groups.pop();
+    cableGroup.entries = cableGroup.entries.filter(function(entry) { return cableColors[entry.color]; });
+    if (cableGroup.entries.length > 0) {
+        groups.push(cableGroup);
+    }
+    return groups;
+}
+
+// Function to draw the legend box in the top-right corner of the map area
+function drawExportLegend(ctx, map, mapWidth) {
+    var groups = getExportLegendGroups(map);
+    var lineHeight = 16;
+    var rowCount = groups.reduce(function(count, group) { return count + group.entries.length + 1; }, 0);
+    var width = 130;
+    var height = rowCount * lineHeight + 12;
+    var left = mapWidth - width - 10;
+    var top = 10;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.strokeStyle = '#999999';
+    ctx.lineWidth = 1;
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeRect(left, top, width, height);
+
+    var y = top + 6 + lineHeight / 2;
+    ctx.textBaseline = 'middle';
+    groups.forEach(function(group) {
+        ctx.fillStyle = '#000000';
+        ctx.font = 'bold 11px sans-serif';
+        ctx.fillText(group.title, left + 8, y);
+        y += lineHeight;
+
+        ctx.font = '11px sans-serif';
+        group.entries.forEach(function(entry) {
+            drawLegendSymbol(ctx, map, group.type, entry.color, left + 12, y);
+            ctx.fillStyle = '#000000';
+            ctx.fillText(entry.label, left + 32, y);
+            y += lineHeight;
+        });
+    });
+    ctx.restore();
+}
+
+// Function to draw a north arrow in the top-left corner of the map area (the map is always north-up)
+function drawNorthArrow(ctx) {
+    var x = 30;
+    var y = 16;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.beginPath();
+    ctx.arc(x, y + 20, 22, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#000000';
+    ctx.beginPath();
+    ctx.moveTo(x, y + 4);
+    ctx.lineTo(x + 9, y + 34);
+    ctx.lineTo(x, y + 27);
+    ctx.lineTo(x - 9, y + 34);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('N', x, y + 44);
+    ctx.restore();
+}
+
+// Function to round a distance down to 1, 2, 3 or 5 times a power of ten (same as Leaflet's scale control)
+function getRoundNumber(value) {
+    var pow10 = Math.pow(10, (Math.floor(value) + '').length - 1);
+    var d = value / pow10;
+    d = d >= 10 ? 10 : d >= 5 ? 5 : d >= 3 ? 3 : d >= 2 ? 2 : 1;
+    return pow10 * d;
+}
+
+// Function to work out a scale bar for the current view in the user's scale units
+// Returns { width (px), label }
+function getExportScaleBar(map, maxWidth) {
+    var y = map.getSize().y / 2;
+    var meters = map.distance(
+        map.containerPointToLatLng([0, y]),
+        map.containerPointToLatLng([maxWidth, y]));
+
+    if (map._scaleUnits === 'imperial') {
+        var feet = meters * 3.2808399;
+        if (feet > 5280) {
+            var miles = getRoundNumber(feet / 5280);
+            return { width: maxWidth * miles * 5280 / feet, label: miles + ' mi' };
+        }
+        var roundFeet = getRoundNumber(feet);
+        return { width: maxWidth * roundFeet / feet, label: roundFeet + ' ft' };
+    }
+
+    var roundMeters = getRoundNumber(meters);
+    return {
+        width: maxWidth * roundMeters / meters,
+        label: roundMeters < 1000 ? roundMeters + ' m' : (roundMeters / 1000) + ' km'
+    };
+}
+
+// Function to draw the title block strip below the map: title, subtitle, scale bar and date
+function drawTitleBlock(ctx, map, width, top, title, subtitle) {
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, top, width, EXPORT_TITLE_BLOCK_HEIGHT);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, top + 1, width - 2, EXPORT_TITLE_BLOCK_HEIGHT - 2);
+
+    ctx.fillStyle = '#000000';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 18px sans-serif';
+    ctx.fillText(title, 12, top + 12);
+    ctx.font = '12px sans-serif';
+    ctx.fillText(subtitle, 12, top + 40);
+
+    // Scale bar in the middle
+    var scale = getExportScaleBar(map, 120);
+    var scaleLeft = Math.max(width / 2 - scale.width / 2, 260);
+    var scaleTop = top + 30;
+    ctx.fillRect(scaleLeft, scaleTop, scale.width, 6);
+    ctx.strokeRect(scaleLeft, scaleTop, scale.width, 6);
+    ctx.textAlign = 'center';
+    ctx.fillText(scale.label, scaleLeft + scale.width / 2, scaleTop + 10);
+
+    // Date and map center on the right
+    var center = map.getCenter();
+    ctx.textAlign = 'right';
+    ctx.fillText(new Date().toLocaleString(), width - 12, top + 14);
+    ctx.fillText('Center: ' + formatCoordinates(center.lat, center.lng, map._coordinateFormat || 'dd'), width - 12, top + 32);
+    ctx.fillText('Zoom ' + map.getZoom(), width - 12, top + 50);
+    ctx.restore();
+}
+
+// Function to render the current map view onto a canvas
+// Returns a Promise that resolves with the canvas
+function renderMapToCanvas(map, title, subtitle, scale) {
+    var size = map.getSize();
+    var canvas = document.createElement('canvas');
+    canvas.width = size.x * scale;
+    canvas.height = (size.y + EXPORT_TITLE_BLOCK_HEIGHT) * scale;
+
+    var ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, size.x, size.y + EXPORT_TITLE_BLOCK_HEIGHT);
+
+    // 1. Base layer, then visible overlays in order
+    var base = map._baseLayers && map._baseLayers[map._currentMapType];
+    if (base) {
+        drawTileLayer(ctx, map, base.layer);
+    }
+    (map._overlayOrder || []).forEach(function(overlayId) {
+        drawTileLayer(ctx, map, map._overlays[overlayId].layer);
+    });
+
+    // 2. Cables below the point markers, as on screen
+    var markers = [];
+    var clusters = [];
+    map.eachLayer(function(layer) {
+        if (layer._entityType === 'cable') {
+            drawCable(ctx, map, layer);
+        } else if (pointAssetTypes[layer._entityType]) {
+            markers.push(layer);
+        } else if (L.MarkerCluster && layer instanceof L.MarkerCluster) {
+            clusters.push(layer);
+        }
+    });
+
+    // 3. Vaults and midpoints (icons load asynchronously, so draw them in order afterwards)
+    markers.sort(function(a, b) {
+        return map.latLngToContainerPoint(a.getLatLng()).y - map.latLngToContainerPoint(b.getLatLng()).y;
+    });
+    return markers.reduce(function(previous, marker) {
+        return previous.then(function() { return drawMarkerIcon(ctx, map, marker); });
+    }, Promise.resolve()).then(function() {
+        clusters.forEach(function(cluster) {
+            drawCluster(ctx, map, cluster);
+        });
+
+        // 4. Map furniture
+        drawNorthArrow(ctx);
+        drawExportLegend(ctx, map, size.x);
+        drawTitleBlock(ctx, map, size.x, size.y, title, subtitle);
+        return canvas;
+    });
+}
+
+// Function to convert bytes to a base64 string (for window.downloadFile)
+function bytesToBase64(bytes) {
+    var binary = '';
+    var chunkSize = 0x8000;
+    for (var i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+// Function to build a single-page landscape Letter PDF containing one JPEG image
+// The image is scaled to fit inside a half-inch margin
+function buildPdfWithJpeg(jpegBytes, imageWidth, imageHeight) {
+    var pageWidth = 792;
+    var pageHeight = 612;
+    var margin = 36;
+    var fit = Math.min((pageWidth - margin * 2) / imageWidth, (pageHeight - margin * 2) / imageHeight);
+    var drawWidth = imageWidth * fit;
+    var drawHeight = imageHeight * fit;
+    var drawX = (pageWidth - drawWidth) / 2;
+    var drawY = (pageHeight - drawHeight) / 2;
+
+    var encoder = new TextEncoder();
+    var chunks = [];
+    var length = 0;
+    var offsets = [];
+    var write = function(data) {
+        var bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    var content = 'q ' + drawWidth.toFixed(2) + ' 0 0 ' + drawHeight.toFixed(2) + ' ' +
+        drawX.toFixed(2) + ' ' + drawY.toFixed(2) + ' cm /Im0 Do Q';
+
+    write('%PDF-1.4\n');
+    offsets[1] = length;
+    write('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    offsets[2] = length;
+    write('2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+    offsets[3] = length;
+    write('3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + pageWidth + ' ' + pageHeight + '] ' +
+        '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>\nendobj\n');
+    offsets[4] = length;
+    write('4 0 obj\n<< /Type /XObject /Subtype /Image /Width ' + imageWidth + ' /Height ' + imageHeight +
+        ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ' + jpegBytes.length + ' >>\nstream\n');
+    write(jpegBytes);
+    write('\nendstream\nendobj\n');
+    offsets[5] = length;
+    write('5 0 obj\n<< /Length ' + content.length + ' >>\nstream\n' + content + '\nendstream\nendobj\n');
+
+    var xrefOffset = length;
+    var xref = 'xref\n0 6\n0000000000 65535 f \n';
+    for (var i = 1; i <= 5; i++) {
+        xref += ('0000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+    }
+    write(xref);
+    write('trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n' + xrefOffset + '\n%%EOF\n');
+
+    var pdf = new Uint8Array(length);
+    var position = 0;
+    chunks.forEach(function(chunk) {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    });
+    return pdf;
+}
+
+// Function to decode a canvas data URL into bytes
+function dataUrlToBytes(dataUrl) {
+    var binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Function to export the current map view as a PNG or PDF file
+// options: { format: 'png' | 'pdf', title, subtitle, fileName, scale (pixel ratio, default 2) }
+// Returns a Promise that resolves to true once the file has been handed to window.downloadFile
+export async function exportMapView(map, options) {
+    options = options || {};
+    var format = options.format === 'pdf' ? 'pdf' : 'png';
+    var title = options.title || 'FOMS Map';
+    var subtitle = options.subtitle || 'Fiber Optic Management System';
+    var fileName = options.fileName || ('map_export_' + new Date().toISOString().substring(0, 10) + '.' + format);
+
+    // Close popups so they don't hide anything the export is meant to show
+    map.closePopup();
+
+    var canvas = await renderMapToCanvas(map, title, subtitle, options.scale || 2);
+
+    try {
+        if (format === 'pdf') {
+            var jpegBytes = dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+            var pdfBytes = buildPdfWithJpeg(jpegBytes, canvas.width, canvas.height);
+            await window.downloadFile(fileName, bytesToBase64(pdfBytes), 'application/pdf');
+        } else {
+            await window.downloadFile(fileName, bytesToBase64(dataUrlToBytes(canvas.toDataURL('image/png'))), 'image/png');
+        }
+    } catch (error) {
+        // A tile server without CORS headers taints the canvas and blocks toDataURL
+        console.error('Error exporting map:', error);
+        throw new Error('The map could not be exported. A map layer may not allow exports (CORS).');
+    }
+    return true;
+}
+
+// File types offered in the save dialog for each content type window.downloadFile accepts
+var DOWNLOAD_FILE_TYPES = {
+    'application/zip': { description: 'ZIP files', accept: { 'application/zip': ['.zip'] } },
+    'image/png': { description: 'PNG images', accept: { 'image/png': ['.png'] } },
+    'application/pdf': { description: 'PDF documents', accept: { 'application/pdf': ['.pdf'] } }
+};
+
 // Global function to download a file from base64 data with folder selection
 // This needs to be in the global scope so it can be called from C# via JSInterop
 // Uses File System Access API when available to let user choose save location
-window.downloadFile = async function(fileName, base64Data) {
+// contentType defaults to 'application/zip' (photo downloads); map exports pass 'image/png' or 'application/pdf'
+window.downloadFile = async function(fileName, base64Data, contentType) {
+    contentType = contentType || 'application/zip';
     try {
         // Convert base64 string to binary data
         var binaryString = atob(base64Data);
@@ -821,7 +5501,7 @@ window.downloadFile = async function(fileName, base64Data) {
         }
         
         // Create a Blob from the binary data
-        var blob = new Blob([bytes], { type: 'application/zip' });
+        var blob = new Blob([bytes], { type: contentType });
         
         // Check if File System Access API is supported (Chrome, Edge, etc.)
         if ('showSaveFilePicker' in window) {
@@ -829,12 +5509,7 @@ window.downloadFile = async function(fileName, base64Data) {
                 // Use File System Access API to show a file picker
                 var fileHandle = await window.showSaveFilePicker({
                     suggestedName: fileName,
-                    types: [{
-                        description: 'ZIP files',
-                        accept: {
-                            'application/zip': ['.zip']
-                        }
-                    }]
+                    types: [DOWNLOAD_FILE_TYPES[contentType] || DOWNLOAD_FILE_TYPES['application/zip']]
                 });
                 
                 // Write the file to the selected location